@@ -5,6 +5,7 @@ const Service = require('./src/service');
 const Singleton = require('./src/singleton');
 const Plugin = require('./src/plugin');
 const Action = require('./src/action');
+const FileSpanExporter = require('./src/file-span-exporter');
 
 /**
  * @param {Object} config
@@ -35,3 +36,9 @@ exports.Plugin = config => new Plugin(config);
  * @return {Action}
  */
 exports.Action = config => new Action(config);
+
+/**
+ * @param {Object} config
+ * @return {FileSpanExporter}
+ */
+exports.FileSpanExporter = config => new FileSpanExporter(config);
@@ -1,16 +1,21 @@
 'use strict';
 
-const {isFunction, isObject, cloneDeep} = require('lodash'),
-    {isStringArray} = require('./utils');
+const {isFunction, isObject, isEmpty, cloneDeep} = require('lodash'),
+    {isStringArray} = require('./utils'),
+    {isMiddlewareList} = require('./middleware'),
+    {validatePolicies, normalizePolicies, createCircuit} = require('./policies'),
+    {checkSchema} = require('./schema');
 
 /**
  * Action is business logic unit with described dependencies - other actions, singletons, and plugins
  * Action is shared across all services
  */
 class Action {
-    static validateConfig({singletons, actions, plugins, fn}) {
+    static validateConfig({singletons, actions, plugins, fn, dispose, middleware, policies, input, output}) {
         if (!isFunction(fn)) throw new Error('Action parameter "fn" have to be a function');
 
+        if (dispose && !isFunction(dispose)) throw new Error('Action parameter "dispose" have to be a function');
+
         if (singletons && !isStringArray(singletons))
             throw new Error('Action parameter "singletons" have to be an array of strings');
 
@@ -18,21 +23,53 @@ class Action {
             throw new Error('Action parameter "actions" have to be an array of strings');
 
         if (plugins && !isObject(plugins)) throw new Error('Action parameter "plugins" have to be an object');
+
+        if (middleware && !isMiddlewareList(middleware))
+            throw new Error('Action parameter "middleware" have to be an array of functions');
+
+        if (policies !== undefined) validatePolicies(policies);
+
+        if (Array.isArray(input)) input.forEach((schema, i) => checkSchema(schema, `input[${i}]`));
+        else if (input !== undefined) checkSchema(input, 'input');
+
+        if (output !== undefined) checkSchema(output, 'output');
     }
 
+    static STATE = {
+        initial: 'initial',
+        loading: 'loading',
+        loaded: 'loaded',
+    };
+
     /**
      * @param {function} fn
      * @param {Array<string>} [singletons]
      * @param {Array<string>} [actions]
      * @param {Object} [plugins]
+     * @param {function} [dispose] called when initialized function is dropped, e.g. its singletons are stopped
+     * @param {Array<function>} [middleware] (ctx, next) functions wrapping the action after broker middleware
+     * @param {Object} [policies] applied to every call of initialized function, it returns promise if any is set
+     * @param {number} [policies.timeout] milliseconds to wait for every attempt
+     * @param {Object} [policies.retry] {attempts, backoff, delay, maxDelay, retryable} same as singleton retry
+     * @param {Object} [policies.circuitBreaker] {failureThreshold=5, resetTimeout=10000, halfOpenRequests=1}
+     * @param {Object|Array<Object>} [input] JSON-Schema-style schema of the first argument or array of arguments schemas
+     * @param {Object} [output] JSON-Schema-style schema of result, resolved value is validated for promise
      */
-    constructor({singletons, actions, plugins, fn}) {
-        Action.validateConfig({singletons, actions, plugins, fn});
+    constructor({singletons, actions, plugins, fn, dispose, middleware, policies, input, output}) {
+        Action.validateConfig({singletons, actions, plugins, fn, dispose, middleware, policies, input, output});
 
         this.singletons = singletons || [];
         this.actions = actions || [];
         this.plugins = plugins || {};
         this.fn = fn;
+        this.dispose = dispose;
+        this.middleware = middleware || [];
+        this.policies = normalizePolicies(policies);
+        this.circuit = createCircuit();
+        this.input = input;
+        this.output = output;
+        this.stateData = {};
+        this.state = Action.STATE.initial;
     }
 
     getRequiredActions() {
@@ -54,6 +91,39 @@ class Action {
     getAllPluginParams() {
         return cloneDeep(this.plugins);
     }
+
+    /**
+     * @returns {Object} policies with defaults and current circuit breaker state
+     */
+    getPolicies() {
+        const policies = cloneDeep(this.policies);
+
+        if (policies.circuitBreaker) policies.circuitBreaker.state = this.circuit.state;
+
+        return policies;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    hasPolicies() {
+        return !isEmpty(this.policies);
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isInit() {
+        return this.state === Action.STATE.initial;
+    }
+
+    isLoading() {
+        return this.state === Action.STATE.loading;
+    }
+
+    isLoaded() {
+        return this.state === Action.STATE.loaded;
+    }
 }
 
 module.exports = Action;
@@ -1,33 +1,42 @@
 'use strict';
 
-const {EventEmitter} = require('events');
-const {difference, isFunction, isObject, isString, pick, set, merge} = require('lodash');
-const sort = require('toposort');
+const {isObject, isString, isFunction, pick, merge, difference, noop} = require('lodash');
 const {
-    loadFiles,
     isStringArray,
-    DEFAULT_SERVICE_TEMPLATE,
-    DEFAULT_SERVICE_TEMPLATE_REMOVE,
-    DEFAULT_ACTION_TEMPLATE,
-    DEFAULT_ACTION_TEMPLATE_REMOVE,
-    DEFAULT_SINGLETON_TEMPLATE,
-    DEFAULT_SINGLETON_TEMPLATE_REMOVE,
-    DEFAULT_PLUGIN_TEMPLATE,
-    DEFAULT_PLUGIN_TEMPLATE_REMOVE,
+    localActionName,
+    describeEntity,
+    aggregateErrors,
+    callHandler,
     SERVICE_CREATED,
     SERVICE_LOADED,
     SERVICE_RUNNING,
     SERVICE_STOPPED,
+    SERVICE_FAILED,
 } = require('./utils');
-const Service = require('./service');
-const Singleton = require('./singleton');
-const Action = require('./action');
-const Plugin = require('./plugin');
+const {
+    checkReferences,
+    sortServices,
+    sortSingletons,
+    sortActions,
+    pickPlugins,
+    collectDependencies,
+} = require('./graph');
+const {loadEntities} = require('./loader');
+const Lifecycle = require('./lifecycle');
+const {run} = require('./runner');
+const {reloadFiles, watch} = require('./reloader');
+const {getHealth} = require('./health');
+const {createStatusServer} = require('./status-server');
+const {recordStartupProfile, getStartupProfile} = require('./profiler');
+const {exportGraph} = require('./graph-export');
+const {validate: validateGraph} = require('./validator');
+const {getDependents, diffGraphs} = require('./impact');
+const {getSpans, shutdownTracing} = require('./tracing');
 
 /**
  * Dependencies broker
  */
-class Broker extends EventEmitter {
+class Broker extends Lifecycle {
     /**
      * @param {string} [singletonsPath]
      * @param {string} [actionsPath]
@@ -37,194 +46,289 @@ class Broker extends EventEmitter {
      * @param {Object} [actions]
      * @param {Object} [plugins]
      * @param {Object} [services]
+     * @param {number} [singletonsConcurrency=Infinity] max number of singletons starting at the same time
+     * @param {number} [startTimeout] default milliseconds to wait for singleton, plugin or service start
+     * @param {number} [stopTimeout] default milliseconds to wait for singleton or service stop
+     * @param {number} [healthCheckTimeout=5000] default milliseconds to wait for singleton or plugin health check
+     * @param {Object} [statusServer] HTTP server reporting status, it starts with the first service and stops on stopAll
+     * @param {number} [statusServer.port]
+     * @param {string} [statusServer.host]
+     * @param {string} [statusServer.path="/status"]
+     * @param {boolean} [validate=false] collect all graph errors and throw them at once, see Broker#validate()
+     * @param {Array<function>} [middleware] (ctx, next) functions wrapping every initialized action
+     * @param {boolean} [schemaValidation=true] validate arguments and results of actions, could be disabled in production
+     * @param {boolean|Object} [tracing=false] record spans of action calls, true or {bufferSize=1000, exporters=[]}
      */
-    constructor({singletons, actions, plugins, services, singletonsPath, actionsPath, pluginsPath, servicesPath}) {
-        super();
+    constructor({
+        singletons,
+        actions,
+        plugins,
+        services,
+        singletonsPath,
+        actionsPath,
+        pluginsPath,
+        servicesPath,
+        singletonsConcurrency = Infinity,
+        startTimeout,
+        stopTimeout,
+        healthCheckTimeout,
+        statusServer,
+        validate = false,
+        middleware,
+        schemaValidation,
+        tracing,
+    }) {
+        super({
+            singletonsConcurrency,
+            startTimeout,
+            stopTimeout,
+            healthCheckTimeout,
+            middleware,
+            schemaValidation,
+            tracing,
+        });
+
+        const entities = loadEntities({
+            singletons,
+            actions,
+            plugins,
+            services,
+            singletonsPath,
+            actionsPath,
+            pluginsPath,
+            servicesPath,
+        });
 
-        this.singletons = {};
-        this.actions = {};
-        this.plugins = {};
-        this.services = {};
+        this.singletons = entities.singletons;
+        this.actions = entities.actions;
+        this.plugins = entities.plugins;
+        this.services = entities.services;
 
         this.servicesPath = servicesPath;
         this.singletonsPath = singletonsPath;
         this.actionsPath = actionsPath;
         this.pluginsPath = pluginsPath;
+        this.files = entities.files;
+        this.statusServer = statusServer === undefined ? undefined : createStatusServer(this, statusServer);
 
-        if (singletons) {
-            if (!isObject(singletons)) throw new Error('Parameter "singletons" have to be an object');
+        // dependencies acquired by every not released Broker#start call
+        this.scripts = new Set();
+        this.startupProfile = recordStartupProfile(this);
 
-            Object.values(singletons).forEach(s => s instanceof Singleton || Singleton.validateConfig(s));
-            this.singletons = Object.entries(singletons).reduce((res, [name, s]) => {
-                res[name] = s instanceof Singleton ? s : new Singleton(s);
-                return res;
-            }, {});
-        }
-
-        if (actions) {
-            if (!isObject(actions)) throw new Error('Parameter "actions" have to be an object');
+        Object.values(this.services).forEach(srv => {
+            srv.state = SERVICE_CREATED;
+        });
 
-            Object.values(actions).forEach(a => a instanceof Action || Action.validateConfig(a));
-            this.actions = Object.entries(actions).reduce((res, [name, a]) => {
-                res[name] = a instanceof Action ? a : new Action(a);
-                return res;
-            }, {});
+        if (validate) {
+            const error = this.validate();
+            if (error) throw error;
         }
 
-        if (plugins) {
-            if (!isObject(plugins)) throw new Error('Parameter "plugins" have to be an object');
-
-            Object.values(plugins).forEach(a => a instanceof Plugin || Plugin.validateConfig(a));
-            this.plugins = Object.entries(plugins).reduce((res, [name, p]) => {
-                res[name] = p instanceof Plugin ? p : new Plugin(p);
-                return res;
-            }, {});
-        }
+        checkReferences(this);
+        sortServices(this.services, Object.keys(this.services));
+    }
 
-        if (services) {
-            if (!isObject(services)) throw new Error('Parameter "services" have to be an object');
+    /**
+     * Collects every unknown reference, circular dependency of singletons, actions or services and every singleton
+     * required by actions or plugins but not included to service, unlike other methods it does not stop on the first one
+     * @returns {ValidationError|undefined} aggregated error with machine-readable list in "errors" property
+     */
+    validate() {
+        return validateGraph(this);
+    }
 
-            Object.values(services).forEach(s => s instanceof Service || Service.validateConfig(s));
-            this.services = Object.entries(services).reduce((res, [name, s]) => {
-                res[name] = s instanceof Service ? s : new Service(s);
-                return res;
-            }, {});
-        }
+    /**
+     * Starts microservice after services it depends on, concurrent calls wait for the same start
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
+    async startService(name) {
+        const service = this.getServiceByName(name);
 
-        // load services from fs
-        if (this.servicesPath) {
-            const files = loadFiles({
-                path: this.servicesPath,
-                template: DEFAULT_SERVICE_TEMPLATE,
-                remove: DEFAULT_SERVICE_TEMPLATE_REMOVE,
-            });
+        if (this.isServiceRunning(name)) return;
 
-            files.forEach(([name, file]) => {
-                if (this.services[name]) throw new Error(`Service with name "${name}" already exists`);
+        if (this.statusServer) await this.statusServer.start();
 
-                this.services[name] = file instanceof Service ? file : new Service(file);
+        if (!service.promise)
+            service.promise = this.runService(name).finally(() => {
+                service.promise = undefined;
             });
-        }
 
-        Object.entries(this.services).forEach(([name, srv]) => {
-            Object.entries(srv.localActions).forEach(([actionName, action]) => {
-                this.actions[localActionName(name, actionName)] = action;
-            });
-        });
+        await service.promise;
+    }
 
-        // load singletons from fs
-        if (this.singletonsPath) {
-            const files = loadFiles({
-                path: this.singletonsPath,
-                template: DEFAULT_SINGLETON_TEMPLATE,
-                remove: DEFAULT_SINGLETON_TEMPLATE_REMOVE,
-            });
+    /**
+     * Starts all services, every service starts after services it depends on and independent ones concurrently.
+     * Rejects with the first error after all starts are finished
+     * @returns {Promise<void>}
+     */
+    async startAll() {
+        const results = await Promise.allSettled(Object.keys(this.services).map(name => this.startService(name)));
+        const failed = results.find(r => r.status === 'rejected');
 
-            files.forEach(([name, file]) => {
-                if (this.singletons[name]) throw new Error(`Singleton with name "${name}" already exists`);
+        if (failed) throw failed.reason;
+    }
 
-                this.singletons[name] = file instanceof Singleton ? file : new Singleton(file);
-            });
-        }
+    /**
+     * Runs health checks of singletons and plugins used by given service or by all running services
+     * @param {string} [serviceName]
+     * @returns {Promise<{healthy: boolean, services: Object, singletons: Object, plugins: Object}>}
+     */
+    getHealth(serviceName) {
+        return getHealth(this, serviceName);
+    }
 
-        // load plugins from fs
-        if (this.pluginsPath) {
-            const files = loadFiles({
-                path: this.pluginsPath,
-                template: DEFAULT_PLUGIN_TEMPLATE,
-                remove: DEFAULT_PLUGIN_TEMPLATE_REMOVE,
-            });
+    /**
+     * Returns timeline of singletons, plugins and actions initialized by the latest start of every service
+     * with the critical path through their dependencies, "trace" format could be opened in Chrome profiler
+     * @param {Object} [options]
+     * @param {string} [options.format="json"] "json" or "trace"
+     * @returns {Object}
+     */
+    getStartupProfile(options) {
+        return getStartupProfile(this, options);
+    }
 
-            files.forEach(([name, file]) => {
-                if (this.plugins[name]) throw new Error(`Plugin with name "${name}" already exists`);
+    /**
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
+    async restartService(name) {
+        await this.stopService(name);
+        await this.startService(name);
+    }
 
-                this.plugins[name] = file instanceof Plugin ? file : new Plugin(file);
-            });
-        }
+    /**
+     * Loads changed files again and restarts running services which depend on changed entities
+     * @param {Array<string>} paths absolute paths of changed files
+     * @returns {Promise<Array<string>>} restarted services
+     */
+    reloadFiles(paths) {
+        return reloadFiles(this, paths);
+    }
 
-        // load actions from fs
-        if (this.actionsPath) {
-            const files = loadFiles({
-                path: this.actionsPath,
-                template: DEFAULT_ACTION_TEMPLATE,
-                remove: DEFAULT_ACTION_TEMPLATE_REMOVE,
-            });
+    /**
+     * Watches files loaded from singletonsPath, actionsPath, pluginsPath and servicesPath and reloads changed ones
+     * @param {Object} [options]
+     * @param {number} [options.interval=500] milliseconds between files checks
+     * @param {number} [options.delay=100] milliseconds to wait for more changes before reload
+     * @returns {{close: function(): void}}
+     */
+    watch(options) {
+        return watch(this, options);
+    }
 
-            files.forEach(([name, file]) => {
-                if (this.actions[name]) throw new Error(`Action with name "${name}" already exists`);
+    /**
+     * Starts services and stops them on SIGTERM or SIGINT
+     * @param {Object} [options]
+     * @param {Array<string>} [options.services] services to start, all services are started if omitted
+     * @param {number} [options.gracePeriod=10000] milliseconds to wait for graceful shutdown before forced exit
+     * @param {Object} [options.process] process object, could be replaced in tests
+     * @param {Object} [options.logger=console] object with "error" method
+     * @returns {Promise<void>} resolves when services are stopped
+     */
+    run(options) {
+        return run(this, options);
+    }
 
-                this.actions[name] = file instanceof Action ? file : new Action(file);
-            });
-        }
+    /**
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
+    async runService(name) {
+        const service = this.getServiceByName(name),
+            path = [describeEntity('service', name)];
 
-        Object.entries(this.services).forEach(([name, srv]) => {
-            srv.state = SERVICE_CREATED;
-            srv.getRequiredSingletons().forEach(singleton => {
-                if (!this.singletons[singleton])
-                    throw new Error(`Service "${name}" requires unknown singleton "${singleton}"`);
-            });
+        await Promise.all(service.getRequiredServices().map(s => this.startService(s)));
 
-            srv.getRequiredActions().forEach(action => {
-                if (!action.startsWith('#') && !this.actions[action])
-                    throw new Error(`Service "${name}" requires unknown action "${action}"`);
-            });
-        });
+        const startedAt = Date.now();
+        this.emitLifecycleEvent('service-starting', name, {path});
 
-        Object.entries(this.singletons).forEach(([name, singleton]) => {
-            singleton.getRequiredSingletons().forEach(s => {
-                if (!this.singletons[s]) throw new Error(`Singleton "${name}" requires unknown singleton "${s}"`);
-            });
-        });
+        const notStarted = {singletons: [], plugins: []};
 
-        Object.entries(this.actions).forEach(([name, action]) => {
-            action.getRequiredSingletons().forEach(s => {
-                if (!this.singletons[s]) throw new Error(`Action "${name}" requires unknown singleton "${s}"`);
-            });
+        try {
+            // failed service is loaded again, its previous load could fail
+            if (service.state === SERVICE_FAILED) service.state = SERVICE_CREATED;
+            this.loadService(name);
 
-            action.getRequiredActions().forEach(a => {
-                if (!this.actions[a]) throw new Error(`Action "${name}" requires unknown action "${a}"`);
-            });
+            notStarted.singletons = service.dependencies.singletons.filter(s => this.singletons[s].isInit());
+            notStarted.plugins = service.dependencies.plugins.filter(p => this.plugins[p].isInit());
 
-            action.getRequiredPlugins().forEach(p => {
-                if (!this.plugins[p]) throw new Error(`Action "${name}" tries to configure unknown plugin "${p}"`);
-            });
-        });
+            await this.startServiceWithDependencies(name);
+        } catch (error) {
+            await this.rollbackService(name, notStarted);
+            service.state = SERVICE_FAILED;
+            this.emitLifecycleEvent('service-failed', name, {path, startedAt, error});
+            throw error;
+        }
+        this.emitLifecycleEvent('service-started', name, {path, startedAt});
 
-        Object.entries(this.plugins).forEach(([name, plugin]) => {
-            plugin.getRequiredSingletons().forEach(s => {
-                if (!this.singletons[s]) throw new Error(`Plugin "${name}" requires unknown singleton "${s}"`);
-            });
-        });
+        service.state = SERVICE_RUNNING;
     }
 
     /**
-     * Starts microservice
-     * @param {string} name
+     * @param {string} name loaded service name
      * @returns {Promise<void>}
      */
-    async startService(name) {
-        const service = this.getServiceByName(name);
-
-        if (this.isServiceRunning(name)) return;
+    async startServiceWithDependencies(name) {
+        const service = this.getServiceByName(name),
+            path = [describeEntity('service', name)],
+            singletons = await this.startSingletons(service.dependencies.singletons, path),
+            plugins = await this.startPlugins(service.dependencies.plugins, path),
+            actions = await this.startActions(service.dependencies.actions, path),
+            localActions = await this.startActions(service.dependencies.localActions, path);
+
+        await callHandler({
+            fn: service.startHandler.bind(service, {
+                singletons: pick(singletons, service.getRequiredSingletons()),
+                actions: this.bindActions(pick(actions, service.getRequiredActions()), name),
+                plugins,
+                localActions: this.bindActions(localActions, name),
+                state: service.stateData,
+            }),
+            timeout: this.getStartTimeout(service),
+            path,
+            operation: 'start',
+        });
+    }
 
-        this.emit('service-starting', name);
-        this.loadService(name);
+    /**
+     * Disposes actions, stops plugins and then singletons in reverse order which were started on behalf
+     * of failed service and are not used by other services.
+     * Stop errors are ignored since service start error is more important
+     * @param {string} name service name
+     * @param {{singletons: Array<string>, plugins: Array<string>}} started sorted singletons and plugins
+     * @returns {Promise<void>}
+     */
+    async rollbackService(name, started) {
+        const path = [describeEntity('service', name)],
+            usedActions = this.getUsedDependencies('actions', name),
+            usedPlugins = this.getUsedDependencies('plugins', name),
+            usedSingletons = this.getUsedDependencies('singletons', name),
+            singletonsToStop = started.singletons.filter(s => !usedSingletons.has(s)).reverse();
 
-        const singletons = await this.startSingletons(service.dependencies.singletons),
-            plugins = await this.startPlugins(service.dependencies.plugins),
-            actions = await this.startActions(service.dependencies.actions),
-            localActions = await this.startActions(service.dependencies.localActions);
+        await Promise.all(
+            this.getServiceByName(name)
+                .dependencies.actions.filter(a => !usedActions.has(a))
+                .map(a => this.disposeAction(a).catch(noop)),
+        );
+        await Promise.all(
+            started.plugins
+                .filter(p => !usedPlugins.has(p))
+                .map(async pluginName => {
+                    const plugin = this.plugins[pluginName];
+                    if (plugin.isLoading()) await plugin.promise.then(noop, noop);
+
+                    if (plugin.isLoaded()) await this.stopPlugin(pluginName, path).catch(noop);
+                }),
+        );
 
-        await service.startHandler({
-            singletons: pick(singletons, service.getRequiredSingletons()),
-            actions: pick(actions, service.getRequiredActions()),
-            plugins,
-            localActions,
-            state: service.stateData,
-        });
-        this.emit('service-started', name);
+        for (const singletonName of singletonsToStop) {
+            const singleton = this.singletons[singletonName];
+            if (singleton.isLoading()) await singleton.promise.then(noop, noop);
 
-        service.state = SERVICE_RUNNING;
+            if (singleton.isLoaded()) await this.stopSingleton(singletonName, path).catch(noop);
+        }
     }
 
     loadService(name) {
@@ -232,77 +336,159 @@ class Broker extends EventEmitter {
 
         if (this.isServiceLoaded(name)) return;
 
-        service.dependencies.singletons = this.sortSingletons(service.getRequiredSingletons());
-        service.dependencies.localActions = service.getRequiredLocalActions().map(a => localActionName(name, a));
-        service.dependencies.actions = this.sortActions(
-            name,
-            [...service.getRequiredActions(), ...service.dependencies.localActions],
-            service.dependencies.singletons,
-        );
-        service.dependencies.plugins = this.pickPlugins({
-            actions: service.dependencies.actions,
-            singletons: service.dependencies.singletons,
-        });
+        // dependencies are replaced at once, so failed load keeps the previous ones
+        const singletons = this.sortSingletons(service.getRequiredSingletons()),
+            localActions = service.getRequiredLocalActions().map(a => localActionName(name, a)),
+            actions = this.sortActions(name, [...service.getRequiredActions(), ...localActions], singletons),
+            plugins = this.pickPlugins({actions, singletons});
 
+        service.dependencies = {singletons, localActions, actions, plugins};
         service.state = SERVICE_LOADED;
     }
 
+    /**
+     * Stops service, then disposes its actions, stops its plugins and singletons in reverse dependency order.
+     * Dependencies used by other running services or scripts and singletons with alive dependents are kept.
+     * Failed stop handler does not prevent releasing of dependencies, errors are thrown after that
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
     async stopService(name) {
         if (!this.isServiceRunning(name)) return;
 
-        this.emit('service-stopping', name);
-        const service = this.getServiceByName(name);
-        if (service.stopHandler) await service.stopHandler({state: service.stateData});
-        this.emit('service-stopped', name);
+        const service = this.getServiceByName(name),
+            path = [describeEntity('service', name)],
+            startedAt = Date.now();
 
-        const runningServices = this.getRunningServices().filter(n => n !== name);
+        const errors = [];
 
-        const startedSingletons = runningServices.reduce((res, s) => {
-            const srv = this.getServiceByName(s);
-            srv.dependencies.singletons.forEach(singleton => res.add(singleton));
-            return res;
-        }, new Set());
-        const singletonsToStop = service.dependencies.singletons.filter(s => !startedSingletons.has(s));
+        this.emitLifecycleEvent('service-stopping', name, {path});
+        await this.stopServiceHandler(service, path).then(
+            () => this.emitLifecycleEvent('service-stopped', name, {path, startedAt}),
+            error => errors.push(error),
+        );
 
-        for (const singleton of singletonsToStop) {
-            const s = this.singletons[singleton];
-            if (s.isLoading()) throw new Error(`Singleton "${singleton}" cannot be stopped because it is starting`);
-            this.emit('singleton-stopping', singleton);
-            if (s.stop && s.isLoaded()) {
-                s.state = Singleton.STATE.unloading;
-                await s.stop({state: s.stateData});
-            }
-            s.state = Singleton.STATE.initial;
-            this.emit('singleton-stopped', singleton);
-        }
+        // service is stopped even if its handler failed, so it could be started again
+        await this.releaseDependencies(service.dependencies, path, name).catch(error => errors.push(error));
 
         service.state = SERVICE_STOPPED;
 
+        if (errors.length) throw aggregateErrors(`Failed to stop service "${name}"`, errors);
     }
 
-    async stopAll() {
-        const runningServices = this.getRunningServices();
+    /**
+     * Disposes actions, stops plugins and then singletons in reverse dependency order.
+     * Dependencies used by scripts or running services except given one and singletons with alive dependents are kept
+     * @param {{actions: Array<string>, plugins: Array<string>, singletons: Array<string>}} dependencies sorted
+     * @param {Array<string>} path
+     * @param {string} [exceptService]
+     * @returns {Promise<void>}
+     */
+    async releaseDependencies(dependencies, path, exceptService) {
+        const usedActions = this.getUsedDependencies('actions', exceptService),
+            usedPlugins = this.getUsedDependencies('plugins', exceptService),
+            usedSingletons = this.getUsedDependencies('singletons', exceptService),
+            actionsToDispose = dependencies.actions.filter(a => !usedActions.has(a)),
+            pluginsToStop = dependencies.plugins.filter(p => !usedPlugins.has(p)),
+            singletonsToStop = dependencies.singletons.filter(s => !usedSingletons.has(s)).reverse();
+
+        await Promise.all(actionsToDispose.map(a => this.disposeAction(a)));
         await Promise.all(
-            runningServices.map(async name => {
-                const service = this.getServiceByName(name);
-                this.emit('service-stopping', name);
-                if (service.stopHandler) await service.stopHandler({state: service.stateData});
-                this.emit('service-stopped', name);
+            pluginsToStop.map(pluginName => {
+                if (this.plugins[pluginName].isLoading())
+                    throw new Error(`Plugin "${pluginName}" cannot be stopped because it is starting`);
+
+                return this.stopPlugin(pluginName, path);
             }),
         );
-        const sortedSingletons = this.sortSingletons(Object.keys(this.singletons)).reverse();
 
-        for (const singletonName of sortedSingletons) {
-            const singleton = this.singletons[singletonName];
-            this.emit('singleton-stopping', singletonName);
-            if (singleton.stop && (singleton.isLoaded() || singleton.isLoading())) {
-                await singleton.promise;
-                singleton.state = Singleton.STATE.unloading;
-                await singleton.stop({state: singleton.stateData});
+        for (const singleton of singletonsToStop) {
+            if (this.singletons[singleton].isLoading())
+                throw new Error(`Singleton "${singleton}" cannot be stopped because it is starting`);
+
+            if (!this.hasAliveDependents(singleton)) await this.stopSingleton(singleton, path);
+        }
+    }
+
+    /**
+     * Stops running services, their dependents first, and then all actions, plugins and singletons.
+     * Failed stop does not prevent others, errors are reported together when everything else is stopped
+     * @returns {Promise<void>}
+     */
+    async stopAll() {
+        const runningServices = this.getRunningServices(),
+            stopped = {},
+            errors = [];
+
+        const settle = async promises => {
+            const results = await Promise.allSettled(promises);
+            results.filter(r => r.status === 'rejected').forEach(r => errors.push(r.reason));
+        };
+
+        // every service stops after running services which depend on it
+        const stopWithDependents = name => {
+            if (!stopped[name]) {
+                const dependents = runningServices.filter(n => this.services[n].getRequiredServices().includes(name));
+
+                stopped[name] = Promise.allSettled(dependents.map(stopWithDependents)).then(async () => {
+                    const service = this.getServiceByName(name),
+                        path = [describeEntity('service', name)],
+                        startedAt = Date.now();
+
+                    this.emitLifecycleEvent('service-stopping', name, {path});
+                    try {
+                        await this.stopServiceHandler(service, path);
+                    } finally {
+                        service.state = SERVICE_STOPPED;
+                    }
+                    this.emitLifecycleEvent('service-stopped', name, {path, startedAt});
+                });
             }
-            this.emit('singleton-stopped', singletonName);
-            singleton.state = Singleton.STATE.initial;
+
+            return stopped[name];
+        };
+
+        try {
+            await settle(runningServices.map(stopWithDependents));
+            this.scripts.clear();
+            await settle(Object.keys(this.actions).map(name => this.disposeAction(name)));
+            await settle(
+                Object.entries(this.plugins).map(async ([pluginName, plugin]) => {
+                    if (plugin.isLoading()) await plugin.promise.then(noop, noop);
+
+                    await this.stopPlugin(pluginName);
+                }),
+            );
+
+            const sortedSingletons = this.sortSingletons(Object.keys(this.singletons)).reverse();
+
+            for (const singletonName of sortedSingletons) {
+                const singleton = this.singletons[singletonName];
+                if (singleton.isLoading()) await singleton.promise.then(noop, noop);
+
+                await settle([this.stopSingleton(singletonName)]);
+            }
+        } finally {
+            if (this.statusServer) await this.statusServer.stop();
         }
+
+        if (errors.length) throw aggregateErrors('Failed to stop dependencies', errors);
+    }
+
+    /**
+     * @param {Service} service
+     * @param {Array<string>} path
+     * @returns {Promise<void>}
+     */
+    async stopServiceHandler(service, path) {
+        if (!service.stopHandler) return;
+
+        await callHandler({
+            fn: service.stopHandler.bind(service, {state: service.stateData}),
+            timeout: this.getStopTimeout(service),
+            path,
+            operation: 'stop',
+        });
     }
 
     /**
@@ -327,10 +513,42 @@ class Broker extends EventEmitter {
         return this.getServiceByName(name).state === SERVICE_RUNNING;
     }
 
+    /**
+     * Returns true if service is loaded and its start is not finished yet
+     * @param {string} name
+     * @returns {boolean}
+     */
+    isServiceStarting(name) {
+        return Boolean(this.getServiceByName(name).promise) && this.isServiceLoaded(name);
+    }
+
     isServiceLoaded(name) {
         return this.getServiceByName(name).state !== SERVICE_CREATED;
     }
 
+    /**
+     * Returns singletons, plugins or actions used by scripts and running or starting services except given one
+     * @param {string} type "singletons", "plugins" or "actions"
+     * @param {string} [exceptService]
+     * @returns {Set<string>}
+     */
+    getUsedDependencies(type, exceptService) {
+        return Object.keys(this.services)
+            .filter(n => n !== exceptService && (this.isServiceRunning(n) || this.isServiceStarting(n)))
+            .reduce((res, s) => {
+                this.getServiceByName(s).dependencies[type].forEach(name => res.add(name));
+                return res;
+            }, new Set(this.getScriptsDependencies(type)));
+    }
+
+    /**
+     * @param {string} type "singletons", "plugins" or "actions"
+     * @returns {Array<string>}
+     */
+    getScriptsDependencies(type) {
+        return [...this.scripts].reduce((res, script) => [...res, ...script[type]], []);
+    }
+
     /**
      * @returns {Array<string>}
      */
@@ -344,289 +562,102 @@ class Broker extends EventEmitter {
      * @returns {Array<string>}
      */
     sortSingletons(requiredSingletons) {
-        const singletons = this.singletons,
-            serviceNode = Symbol('service-singleton'),
-            graph = requiredSingletons.map(i => [serviceNode, i]),
-            allSingletons = new Set(requiredSingletons);
-
-        requiredSingletons.forEach(name => getDependencies(name));
-
-        allSingletons.forEach(name => {
-            singletons[name].getRequiredSingletons().forEach(n => graph.push([name, n]));
-        });
-
-        return sort(graph).reverse().slice(0, -1);
-
-        function getDependencies(name, dependedBy = []) {
-            allSingletons.add(name);
-
-            singletons[name].getRequiredSingletons().forEach(n => {
-                if (dependedBy.includes(name))
-                    throw new Error(`Found singletons circular dependency: ${[...dependedBy, name, n].join(' -> ')}`);
-
-                getDependencies(n, [...dependedBy, name]);
-            });
-        }
-    }
-
-    async startSingletons(names) {
-        const result = {};
-
-        for (const name of names) {
-            const singleton = this.singletons[name];
-
-            if (singleton.isInit()) {
-                singleton.state = Singleton.STATE.loading;
-                this.emit('singleton-starting', name);
-                const singletons = singleton.getRequiredSingletons().reduce((res, n) => {
-                    set(res, n, this.singletons[n].instance);
-                    return res;
-                }, {});
-                singleton.promise = singleton.start({singletons, state: singleton.stateData});
-                singleton.instance = await singleton.promise;
-                singleton.state = Singleton.STATE.loaded;
-                this.emit('singleton-started', name);
-            } else if (singleton.isLoading()) {
-                await singleton.promise;
-            }
-            else if (singleton.isUnloading()) {
-                throw new Error(`Cannot start singleton "${name}" because it is stopping now`);
-            }
-
-            set(result, name, singleton.instance);
-        }
-
-        return result;
+        return sortSingletons(this.singletons, requiredSingletons);
     }
 
+    /**
+     * @param {string} serviceName
+     * @param {Array<string>} requiredActions
+     * @param {Array<string>} singletons singletons available for actions
+     * @throws
+     * @returns {Array<string>}
+     */
     sortActions(serviceName, requiredActions, singletons) {
-        const actions = this.actions,
-            allActions = new Set(requiredActions),
-            serviceNode = Symbol('service-action'),
-            graph = requiredActions.map(i => [serviceNode, i]);
-
-        requiredActions.forEach(name => getDependencies(name));
-
-        allActions.forEach(name => {
-            const action = actions[name];
-
-            const notIncluded = difference(action.getRequiredSingletons(), singletons);
-            if (notIncluded.length)
-                throw new Error(
-                    `Action "${name}" in service "${serviceName}" requires not included singleton(s): ` +
-                        `"${notIncluded.join('", "')}". Please add them to service definition`,
-                );
+        return sortActions({actions: this.actions, serviceName, requiredActions, singletons});
+    }
 
-            action.getRequiredActions().forEach(a => graph.push([name, a]));
+    /**
+     * @param {Array<string>} actions sorted actions
+     * @param {Array<string>} singletons singletons available for plugins
+     * @param {Array<string>} [plugins] plugins required explicitly
+     * @throws
+     * @returns {Array<string>}
+     */
+    pickPlugins({actions, singletons, plugins = []}) {
+        return pickPlugins({
+            actions: this.actions,
+            plugins: this.plugins,
+            requiredActions: actions,
+            requiredPlugins: plugins,
+            singletons,
         });
-
-        return sort(graph).reverse().slice(0, -1);
-
-        function getDependencies(name, dependedBy = []) {
-            allActions.add(name);
-
-            actions[name].getRequiredActions().forEach(n => {
-                if (dependedBy.includes(name))
-                    throw new Error(
-                        `Found actions circular dependency in service ${serviceName}: ` +
-                            `${[...dependedBy, name, n].join(' -> ')}`,
-                    );
-
-                getDependencies(n, [...dependedBy, name]);
-            });
-        }
     }
 
-    async startActions(names) {
-        const result = {};
-
-        for (const name of names) {
-            const action = this.actions[name];
-
-            action.initializedFn = await this.initAction(name); // todo: fix race condition here :(
-
-            const realName = name.includes('#') ? name.split('#')[1] : name;
-            set(result, realName, action.initializedFn);
-        }
+    getDependencies() {
+        Object.keys(this.services).forEach(name => this.loadService(name));
 
-        return result;
+        return collectDependencies(this);
     }
 
-    async initAction(name) {
-        const action = this.actions[name];
-
-        if (action.initializedFn) {
-            return action.initializedFn;
-        }
-
-        this.emit('action-starting', name);
-        const actions = {};
-        action.getRequiredActions().forEach(actionName => {
-            set(actions, actionName, this.actions[actionName].initializedFn);
-        });
-
-        const singletons = {};
-        action.getRequiredSingletons().forEach(singletonName => {
-            set(singletons, singletonName, this.singletons[singletonName].instance);
-        });
-
-        const plugins = {};
-        await Promise.all(
-            action.getRequiredPlugins().map(async pluginName => {
-                const plugin = this.plugins[pluginName];
-                set(plugins, pluginName, await plugin.instance(action.getPluginParams(pluginName)));
-            }),
-        );
-
-        const fn = await action.fn({actions, singletons, plugins});
-
-        if (!isFunction(fn)) {
-            throw new Error(`Action "${name}" did not return function`);
-        }
-
-        this.emit('action-started', name);
-
-        return fn;
+    /**
+     * Renders dependency graph as Graphviz DOT or Mermaid flowchart
+     * @param {Object} [options]
+     * @param {string} [options.format="dot"] "dot" or "mermaid"
+     * @param {string} [options.root] render only closure of entity "<kind>:<name>", e.g. "service:api"
+     * @param {number} [options.depth] max number of edges from root
+     * @returns {string}
+     */
+    exportGraph(options) {
+        return exportGraph(this, options);
     }
 
-    async startPlugins(names) {
-        const plugins = {};
-
-        await Promise.all(
-            names.map(async name => {
-                const plugin = this.plugins[name];
-
-                if (!plugin.instance) {
-                    const singletons = plugin.getRequiredSingletons().reduce((res, singletonName) => {
-                        res[singletonName] = this.singletons[singletonName].instance;
-                        return res;
-                    }, {});
-
-                    this.emit('plugin-starting', name);
-                    plugin.instance = await plugin.start({singletons});
-                    this.emit('plugin-started', name);
-                }
-
-                set(plugins, name, plugin.instance);
-            }),
-        );
-
-        return plugins;
+    /**
+     * Returns services, singletons, actions and plugins which require given entity,
+     * with transitive option also the ones which reach it through other entities
+     * @param {string} kind "service", "singleton", "action" or "plugin"
+     * @param {string} name
+     * @param {Object} [options]
+     * @param {boolean} [options.transitive=false]
+     * @returns {{services: Array<string>, singletons: Array<string>, actions: Array<string>, plugins: Array<string>}}
+     */
+    getDependents(kind, name, options) {
+        return getDependents(this, {kind, name}, options);
     }
 
-    pickPlugins({actions, singletons, plugins = []}) {
-        const names = [...plugins];
-
-        actions.forEach(actionName => {
-            const action = this.actions[actionName];
-            action.getRequiredPlugins().forEach(pluginName => {
-                if (!names.includes(pluginName)) names.push(pluginName);
-            });
-        });
-
-        names.forEach(pluginName => {
-            const plugin = this.plugins[pluginName];
-
-            const notIncluded = difference(plugin.getRequiredSingletons(), singletons);
-            if (notIncluded.length)
-                throw new Error(
-                    `Plugin "${pluginName}" requires not included singleton(s): "${notIncluded.join('", "')}". ` +
-                        'Please add them to service definition or do not use this plugin',
-                );
-        });
-
-        return names;
+    /**
+     * Returns the latest finished spans of action calls kept by tracing, the oldest first,
+     * spans of one call tree share traceId and are linked by parentSpanId
+     * @param {Object} [options]
+     * @param {string} [options.traceId]
+     * @returns {Array<Object>}
+     */
+    getSpans(options) {
+        return getSpans(this, options);
     }
 
-    getDependencies() {
-        const result = {
-            services: {},
-            singletons: {},
-            actions: {},
-            plugins: {},
-        };
-
-        const services = Object.keys(this.services);
-        services.forEach(name => this.loadService(name));
-
-        services.forEach(name => {
-            const service = this.services[name];
-            result.services[name] = {
-                singletons: [...service.dependencies.singletons],
-                actions: [...service.dependencies.actions],
-                localActions: [...service.dependencies.localActions],
-                plugins: [...service.dependencies.plugins],
-            };
-        });
-
-        Object.entries(this.singletons).forEach(([name, singleton]) => {
-            result.singletons[name] = {
-                dependencies: {
-                    singletons: singleton.getRequiredSingletons(),
-                },
-                dependents: {
-                    actions: [],
-                    singletons: [],
-                    plugins: [],
-                    services: [],
-                },
-            };
-        });
-
-        Object.entries(this.actions).forEach(([name, action]) => {
-            result.actions[name] = {
-                dependencies: {
-                    singletons: action.getRequiredSingletons(),
-                    actions: action.getRequiredActions(),
-                    plugins: action.getAllPluginParams(),
-                },
-                dependents: {
-                    actions: [],
-                    services: [],
-                },
-            };
-        });
-
-        Object.entries(this.plugins).forEach(([name, plugin]) => {
-            result.plugins[name] = {
-                dependencies: {
-                    singletons: plugin.getRequiredSingletons(),
-                },
-                dependents: {
-                    actions: [],
-                },
-            };
-        });
-
-        // collect dependents
-        Object.entries(this.services).forEach(([name, service]) => {
-            service.getRequiredSingletons().forEach(s => result.singletons[s].dependents.services.push(name));
-            service.getRequiredActions().forEach(a => result.actions[a].dependents.services.push(name));
-            service
-                .getRequiredLocalActions()
-                .forEach(a => result.actions[localActionName(name, a)].dependents.services.push(name));
-        });
-        Object.entries(this.singletons).forEach(([name, singleton]) => {
-            singleton.getRequiredSingletons().forEach(s => result.singletons[s].dependents.singletons.push(name));
-        });
-        Object.entries(this.plugins).forEach(([name, plugin]) => {
-            plugin.getRequiredSingletons().forEach(s => result.singletons[s].dependents.plugins.push(name));
-        });
-        Object.entries(this.actions).forEach(([name, action]) => {
-            action.getRequiredActions().forEach(a => result.actions[a].dependents.actions.push(name));
-            action.getRequiredSingletons().forEach(s => result.singletons[s].dependents.actions.push(name));
-            action.getRequiredPlugins().forEach(p => result.plugins[p].dependents.actions.push(name));
-        });
+    /**
+     * Flushes and closes tracing exporters, Broker#run() calls it after services are stopped
+     * @returns {Promise<void>}
+     */
+    shutdownTracing() {
+        return shutdownTracing(this);
+    }
 
-        return result;
+    /**
+     * Compares dependency graph of this broker with other one, e.g. before and after refactoring
+     * @param {Broker} other
+     * @returns {{added: Array<string>, removed: Array<string>, changed: Array<Object>, affectedServices: Array<string>}}
+     */
+    diffGraph(other) {
+        return diffGraphs(this, other);
     }
 
     /**
-     * Returns loaded and started dependencies
+     * Returns loaded and started dependencies, they are kept until release() is called or all dependencies stopped
      * @param {Array<string>} [singletons]
      * @param {Array<string>} [actions]
      * @param {Object} [plugins]
-     * @returns {Promise<{singletons, actions, plugins}>}
+     * @returns {Promise<{singletons, actions, plugins, release: function(): Promise<void>}>}
      */
     async start({singletons, actions, plugins}) {
         const pluginsList = Object.keys(plugins || {});
@@ -659,28 +690,45 @@ class Broker extends EventEmitter {
                 plugins: pluginsList,
             });
 
-        const singletonsInstances = await this.startSingletons(sortedSingletons);
-        const pluginsInstances = await this.startPlugins(pluginsNames);
-        const actionsInstances = await this.startActions(sortedActions);
+        const script = {singletons: sortedSingletons, plugins: pluginsNames, actions: sortedActions};
+        this.scripts.add(script);
 
-        const initializedPlugins = {};
+        const release = async () => {
+            if (this.scripts.delete(script)) await this.releaseDependencies(script, ['script']);
+        };
 
-        await Promise.all(
-            pluginsList.map(async pluginName => {
-                initializedPlugins[pluginName] = await pluginsInstances[pluginName](plugins[pluginName]);
-            }),
-        );
+        try {
+            const singletonsInstances = await this.startSingletons(sortedSingletons, ['script']);
+            const pluginsInstances = await this.startPlugins(pluginsNames, ['script']);
+            const actionsInstances = await this.startActions(sortedActions, ['script']);
 
-        return {
-            singletons: pick(singletonsInstances, singletons),
-            actions: pick(actionsInstances, actions),
-            plugins: initializedPlugins,
-        };
+            const initializedPlugins = {};
+
+            await Promise.all(
+                pluginsList.map(async pluginName => {
+                    initializedPlugins[pluginName] = await pluginsInstances[pluginName](plugins[pluginName]);
+                }),
+            );
+
+            const result = {
+                singletons: pick(singletonsInstances, singletons),
+                actions: this.bindActions(pick(actionsInstances, actions)),
+                plugins: initializedPlugins,
+            };
+
+            // not enumerable to keep result a plain map of dependencies
+            Object.defineProperty(result, 'release', {value: release});
+
+            return result;
+        } catch (error) {
+            await release().catch(noop);
+            throw error;
+        }
     }
 
     /**
      * Returns new action mocked by provided entities.
-     * If it requires not provided entities they will be loaded
+     * If it requires not provided entities they will be loaded and kept until mocked action release() is called
      * @param {string} name
      * @param {Object<string, Function>} [actions] map of full name to Action function
      * @param {Object<string, Any>} [singletons] map of full name to Singleton value
@@ -713,14 +761,24 @@ class Broker extends EventEmitter {
             actions: merge({}, loadedDeps.actions, actions),
             singletons: merge({}, loadedDeps.singletons, singletons),
             plugins: merge({}, loadedDeps.plugins, plugins),
+            context: this.callContext,
         };
 
-        return action.fn(deps);
+        try {
+            const fn = await action.fn(deps);
+
+            if (!isFunction(fn)) throw new Error(`Action "${name}" did not return function`);
+
+            const wrapped = this.bindAction(this.wrapAction(name, fn)),
+                mocked = (...args) => wrapped(...args);
+            mocked.release = loadedDeps.release;
+
+            return mocked;
+        } catch (error) {
+            await loadedDeps.release().catch(noop);
+            throw error;
+        }
     }
 }
 
 module.exports = Broker;
-
-function localActionName(service, action) {
-    return `${service}#${action}`;
-}
@@ -0,0 +1,225 @@
+'use strict';
+
+const {resolve} = require('path');
+const {isFunction, mapValues, pick} = require('lodash');
+const Broker = require('./broker');
+const {parseEntity} = require('./graph-export');
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const BOOLEAN_FLAGS = ['help', 'transitive'];
+
+const USAGE = `Usage: agata <module> <command> [arguments]
+
+Module exports broker, broker config or function returning one of them.
+
+Commands:
+    list                                  list services, singletons, actions and plugins
+    deps <kind>:<name>                    print dependencies and dependents of entity, e.g. "service:api"
+    graph [--format dot|mermaid] [--root <kind>:<name>] [--depth <n>]
+                                          print dependency graph
+    dependents <kind>:<name> [--transitive]
+                                          print entities which require given one
+    diff <other-module>                   compare dependency graphs, exit code is 1 if they differ
+    check                                 validate broker and every service, report all errors
+    start <service>                       start service and stop it on SIGTERM or SIGINT
+
+Exit codes: 0 - success, 1 - command failed or graphs differ, 2 - wrong usage`;
+
+/**
+ * Splits arguments to positional ones and "--name value" or "--name=value" flags
+ * @param {Array<string>} argv
+ * @returns {{args: Array<string>, flags: Object<string, string>}}
+ */
+const parseArgs = argv => {
+    const args = [],
+        flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg.startsWith('--')) {
+            const [name, ...value] = arg.slice(2).split('=');
+
+            if (value.length) flags[name] = value.join('=');
+            else if (BOOLEAN_FLAGS.includes(name)) flags[name] = true;
+            else flags[name] = argv[++i];
+        } else {
+            args.push(arg);
+        }
+    }
+
+    return {args, flags};
+};
+
+/**
+ * Requires module which exports broker, broker config or function returning one of them
+ * @param {string} path
+ * @param {string} cwd
+ * @param {boolean} [validate] collect all graph errors if module exports config, config option is kept otherwise
+ * @returns {Promise<Broker>}
+ */
+const loadBroker = async (path, cwd, validate) => {
+    const exported = require(resolve(cwd, path)),
+        value = isFunction(exported) ? await exported() : exported;
+
+    return value && isFunction(value.startService)
+        ? value
+        : new Broker({...value, validate: validate || value.validate});
+};
+
+class UsageError extends Error {}
+
+/**
+ * @param {Object} logger
+ * @param {{services: Array<string>, singletons: Array<string>, actions: Array<string>, plugins: Array<string>}} groups
+ */
+const printGroups = (logger, groups) => {
+    ['services', 'singletons', 'actions', 'plugins'].forEach(type => {
+        logger.log(type);
+        groups[type].forEach(name => logger.log(`    ${name}`));
+    });
+};
+
+const COMMANDS = {
+    list(broker, {logger}) {
+        printGroups(logger, mapValues(pick(broker, ['services', 'singletons', 'actions', 'plugins']), Object.keys));
+
+        return EXIT_OK;
+    },
+
+    dependents(broker, {args: [reference], flags: {transitive}, logger}) {
+        if (!reference) throw new UsageError('Command "dependents" requires entity, e.g. "singleton:db"');
+
+        const {kind, name} = parseEntity(broker, reference);
+
+        printGroups(logger, broker.getDependents(kind, name, {transitive: !!transitive}));
+
+        return EXIT_OK;
+    },
+
+    async diff(broker, {args: [otherPath], cwd, logger}) {
+        if (!otherPath) throw new UsageError('Command "diff" requires module to compare with');
+
+        const {added, removed, changed, affectedServices} = broker.diffGraph(await loadBroker(otherPath, cwd));
+
+        added.forEach(id => logger.log(`+ ${id}`));
+        removed.forEach(id => logger.log(`- ${id}`));
+        changed.forEach(({id, added: a, removed: r, params}) => {
+            logger.log(`~ ${id}`);
+            a.forEach(d => logger.log(`    + ${d}`));
+            r.forEach(d => logger.log(`    - ${d}`));
+            params.forEach(d => logger.log(`    ~ ${d} params`));
+        });
+
+        if (!added.length && !removed.length && !changed.length) {
+            logger.log('No differences');
+            return EXIT_OK;
+        }
+
+        logger.log(`Affected services: ${affectedServices.join(', ') || 'none'}`);
+
+        return EXIT_FAILURE;
+    },
+
+    deps(broker, {args: [reference], logger}) {
+        if (!reference) throw new UsageError('Command "deps" requires entity, e.g. "service:api"');
+
+        const {kind, name} = parseEntity(broker, reference);
+
+        logger.log(JSON.stringify(broker.getDependencies()[`${kind}s`][name], null, 2));
+
+        return EXIT_OK;
+    },
+
+    graph(broker, {flags: {format, root, depth}, logger}) {
+        if (depth !== undefined && !/^\d+$/.test(depth))
+            throw new UsageError('Option "--depth" have to be a non-negative integer');
+
+        logger.log(broker.exportGraph({format, root, depth: depth === undefined ? undefined : Number(depth)}));
+
+        return EXIT_OK;
+    },
+
+    check(broker, {logger}) {
+        const invalid = broker.validate();
+
+        if (invalid) {
+            invalid.errors.forEach(error => logger.error(error.message));
+            return EXIT_FAILURE;
+        }
+
+        // graph is valid, but services could still fail to load
+        const errors = Object.keys(broker.services).reduce((res, name) => {
+            try {
+                broker.loadService(name);
+                return res;
+            } catch (error) {
+                return [...res, `Service "${name}": ${error.message}`];
+            }
+        }, []);
+
+        errors.forEach(error => logger.error(error));
+
+        if (errors.length) return EXIT_FAILURE;
+
+        logger.log(`OK, ${Object.keys(broker.services).length} service(s) checked`);
+
+        return EXIT_OK;
+    },
+
+    async start(broker, {args: [name], logger, process: proc}) {
+        if (!name) throw new UsageError('Command "start" requires service name');
+
+        broker.on('service-started', started => logger.log(`Service "${started}" started`));
+        await broker.run({services: [name], process: proc, logger});
+
+        return proc.exitCode || EXIT_OK;
+    },
+};
+
+/**
+ * Runs command line interface, errors are reported to logger
+ * @param {Array<string>} argv arguments without node and script paths
+ * @param {Object} [options]
+ * @param {string} [options.cwd] directory to resolve module path from
+ * @param {Object} [options.logger=console] object with "log" and "error" methods
+ * @param {Object} [options.process=process] process object, could be replaced in tests
+ * @returns {Promise<number>} exit code
+ */
+exports.runCli = async (argv, {cwd = process.cwd(), logger = console, process: proc = process} = {}) => {
+    const {args, flags} = parseArgs(argv),
+        [modulePath, command, ...commandArgs] = args;
+
+    if (flags.help) {
+        logger.log(USAGE);
+        return EXIT_OK;
+    }
+
+    if (!modulePath || !COMMANDS[command]) {
+        logger.error(command ? `Unknown command "${command}"\n\n${USAGE}` : USAGE);
+        return EXIT_USAGE;
+    }
+
+    let broker;
+
+    try {
+        broker = await loadBroker(modulePath, cwd, command === 'check');
+    } catch (error) {
+        logger.error(`Failed to load broker from "${modulePath}": ${error.message}`);
+        return EXIT_FAILURE;
+    }
+
+    try {
+        return await COMMANDS[command](broker, {args: commandArgs, flags, cwd, logger, process: proc});
+    } catch (error) {
+        logger.error(error.message);
+        return error instanceof UsageError ? EXIT_USAGE : EXIT_FAILURE;
+    }
+};
+
+exports.EXIT_OK = EXIT_OK;
+exports.EXIT_FAILURE = EXIT_FAILURE;
+exports.EXIT_USAGE = EXIT_USAGE;
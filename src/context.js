@@ -0,0 +1,40 @@
+'use strict';
+
+const {AsyncLocalStorage} = require('async_hooks');
+const {isFunction, isPlainObject} = require('lodash');
+
+const EMPTY = Object.freeze({});
+
+/**
+ * Creates storage of per-call context which follows async operations started inside run(),
+ * nested context inherits values of the outer one. Context objects are frozen, so they could be shared safely
+ * @returns {{run: function(Object, function): *, get: function(string=): *}}
+ */
+exports.createCallContext = () => {
+    const storage = new AsyncLocalStorage();
+
+    return {
+        /**
+         * @param {Object} ctx values to add to the current context, e.g. {requestId}
+         * @param {function} fn
+         * @returns {*} result of fn
+         */
+        run(ctx, fn) {
+            if (!isPlainObject(ctx)) throw new Error('Parameter "ctx" have to be an object');
+
+            if (!isFunction(fn)) throw new Error('Parameter "fn" have to be a function');
+
+            return storage.run(Object.freeze({...storage.getStore(), ...ctx}), fn);
+        },
+
+        /**
+         * @param {string} [key]
+         * @returns {*} value of key or whole context, empty object outside of run()
+         */
+        get(key) {
+            const store = storage.getStore() || EMPTY;
+
+            return key === undefined ? store : store[key];
+        },
+    };
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+const {createWriteStream} = require('fs');
+const {isString} = require('lodash');
+
+/**
+ * Tracing exporter which appends every span to file as a line of JSON
+ */
+class FileSpanExporter {
+    /**
+     * @param {string} path
+     * @throws
+     */
+    static validateConfig({path}) {
+        if (!isString(path) || !path) throw new Error('Parameter "path" have to be a non-empty string');
+    }
+
+    /**
+     * @param {string} path file to append spans to, it is opened on the first export
+     */
+    constructor({path}) {
+        FileSpanExporter.validateConfig({path});
+
+        this.path = path;
+        this.stream = undefined;
+        this.error = undefined;
+    }
+
+    /**
+     * @param {Array<Object>} spans
+     * @throws if previous write failed
+     */
+    export(spans) {
+        if (this.error) throw this.error;
+
+        if (!this.stream) {
+            this.stream = createWriteStream(this.path, {flags: 'a'});
+            this.stream.on('error', error => {
+                this.error = error;
+            });
+        }
+
+        this.stream.write(spans.map(span => `${JSON.stringify(span)}\n`).join(''));
+    }
+
+    /**
+     * Flushes written spans and closes file
+     * @returns {Promise<void>}
+     */
+    shutdown() {
+        const {stream} = this;
+
+        this.stream = undefined;
+
+        // stream is already closed if write failed
+        if (!stream || stream.destroyed) return Promise.resolve();
+
+        // "close" is emitted after flush and after write error as well
+        return new Promise(resolve => {
+            stream.once('close', resolve);
+            stream.end();
+        });
+    }
+}
+
+module.exports = FileSpanExporter;
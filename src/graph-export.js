@@ -0,0 +1,170 @@
+'use strict';
+
+const {isEmpty, isString} = require('lodash');
+const {localActionName, checkEntity, ENTITY_KINDS} = require('./utils');
+
+const DOT_SHAPES = {
+    service: 'shape=box3d',
+    singleton: 'shape=cylinder',
+    action: 'shape=box, style=rounded',
+    plugin: 'shape=component',
+};
+
+const MERMAID_SHAPES = {
+    service: label => `[[${label}]]`,
+    singleton: label => `[(${label})]`,
+    action: label => `(${label})`,
+    plugin: label => `{{${label}}}`,
+};
+
+/**
+ * Parses entity reference "<kind>:<name>", e.g. "service:api" or "action:users.find"
+ * @param {Broker} broker
+ * @param {string} reference
+ * @throws
+ * @returns {{kind: string, name: string}}
+ */
+const parseEntity = (broker, reference) => {
+    const [kind, ...parts] = isString(reference) ? reference.split(':') : [],
+        name = parts.join(':');
+
+    if (!ENTITY_KINDS.includes(kind) || !parts.length)
+        throw new Error(`Entity reference "${reference}" have to be "<${ENTITY_KINDS.join('|')}>:<name>"`);
+
+    checkEntity(broker, kind, name);
+
+    return {kind, name};
+};
+
+exports.parseEntity = parseEntity;
+
+/**
+ * Returns direct dependencies of entity, plugin edges have plugin params
+ * @param {Broker} broker
+ * @param {string} kind
+ * @param {string} name
+ * @returns {Array<{kind: string, name: string, params: Object}>}
+ */
+const getEdges = (broker, kind, name) => {
+    const entity = broker[`${kind}s`][name],
+        to = k => n => ({kind: k, name: n});
+
+    switch (kind) {
+        case 'service':
+            return [
+                ...entity.getRequiredServices().map(to('service')),
+                ...entity.getRequiredSingletons().map(to('singleton')),
+                ...entity.getRequiredActions().map(to('action')),
+                ...entity.getRequiredLocalActions().map(a => ({kind: 'action', name: localActionName(name, a)})),
+            ];
+        case 'action':
+            return [
+                ...entity.getRequiredSingletons().map(to('singleton')),
+                ...entity.getRequiredActions().map(to('action')),
+                ...entity.getRequiredPlugins().map(p => ({kind: 'plugin', name: p, params: entity.getPluginParams(p)})),
+            ];
+        default:
+            return entity.getRequiredSingletons().map(to('singleton'));
+    }
+};
+
+/**
+ * Collects nodes and edges of the whole graph or of the closure of root entity
+ * @param {Broker} broker
+ * @param {{kind: string, name: string}} [root]
+ * @param {number} [depth] max number of edges from root
+ * @returns {{nodes: Array<Object>, edges: Array<Object>}}
+ */
+const collectGraph = (broker, root, depth = Infinity) => {
+    const nodes = new Map(),
+        edges = [],
+        key = ({kind, name}) => `${kind}:${name}`;
+
+    const visit = (node, level) => {
+        if (nodes.has(key(node))) return;
+
+        nodes.set(key(node), {kind: node.kind, name: node.name, level});
+    };
+
+    if (root) visit(root, 0);
+    else ENTITY_KINDS.forEach(kind => Object.keys(broker[`${kind}s`]).forEach(name => visit({kind, name}, 0)));
+
+    // nodes are added while iterating, so the closure is collected breadth first
+    for (const node of nodes.values()) {
+        if (node.level < depth)
+            getEdges(broker, node.kind, node.name).forEach(edge => {
+                visit(edge, node.level + 1);
+                edges.push({from: key(node), to: key(edge), params: edge.params});
+            });
+    }
+
+    return {nodes: [...nodes.entries()].map(([id, {kind, name}]) => ({id, kind, name})), edges};
+};
+
+exports.collectGraph = collectGraph;
+
+/**
+ * @param {{nodes: Array<Object>, edges: Array<Object>}} graph
+ * @returns {string}
+ */
+const toDot = ({nodes, edges}) => {
+    const quote = value => `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+    return [
+        'digraph agata {',
+        '    rankdir=LR;',
+        ...nodes.map(({id, kind, name}) => `    ${quote(id)} [label=${quote(name)}, ${DOT_SHAPES[kind]}];`),
+        ...edges.map(({from, to, params}) => {
+            const label = isEmpty(params) ? '' : ` [label=${quote(JSON.stringify(params))}]`;
+
+            return `    ${quote(from)} -> ${quote(to)}${label};`;
+        }),
+        '}',
+        '',
+    ].join('\n');
+};
+
+/**
+ * @param {{nodes: Array<Object>, edges: Array<Object>}} graph
+ * @returns {string}
+ */
+const toMermaid = ({nodes, edges}) => {
+    const ids = new Map(nodes.map(({id}, i) => [id, `n${i}`])),
+        quote = value => `"${value.replace(/#/g, '#35;').replace(/"/g, '#quot;')}"`;
+
+    return [
+        'graph LR',
+        ...nodes.map(({id, kind, name}) => `    ${ids.get(id)}${MERMAID_SHAPES[kind](quote(name))}`),
+        ...edges.map(({from, to, params}) => {
+            const label = isEmpty(params) ? '' : `|${quote(JSON.stringify(params))}|`;
+
+            return `    ${ids.get(from)} -->${label} ${ids.get(to)}`;
+        }),
+        '',
+    ].join('\n');
+};
+
+/**
+ * Renders the whole dependency graph or the closure of one entity
+ * @param {Broker} broker
+ * @param {Object} [options]
+ * @param {string} [options.format="dot"] "dot" or "mermaid"
+ * @param {string} [options.root] entity reference "<kind>:<name>", e.g. "service:api"
+ * @param {number} [options.depth] max number of edges from root
+ * @throws
+ * @returns {string}
+ */
+exports.exportGraph = (broker, {format = 'dot', root, depth} = {}) => {
+    if (!['dot', 'mermaid'].includes(format)) throw new Error('Parameter "format" have to be "dot" or "mermaid"');
+
+    if (depth !== undefined) {
+        if (!Number.isInteger(depth) || depth < 0)
+            throw new Error('Parameter "depth" have to be a non-negative integer');
+
+        if (root === undefined) throw new Error('Parameter "depth" could be used only with "root"');
+    }
+
+    const graph = collectGraph(broker, root === undefined ? undefined : parseEntity(broker, root), depth);
+
+    return format === 'dot' ? toDot(graph) : toMermaid(graph);
+};
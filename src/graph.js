@@ -0,0 +1,389 @@
+'use strict';
+
+const {difference, upperFirst, cloneDeep} = require('lodash');
+const sort = require('toposort');
+const {localActionName} = require('./utils');
+
+/**
+ * Returns every reference to unknown entity
+ * @param {Object<string, Service>} services
+ * @param {Object<string, Singleton>} singletons
+ * @param {Object<string, Action>} actions
+ * @param {Object<string, Plugin>} plugins
+ * @returns {Array<{type: string, message: string, entity: Object, reference: Object}>}
+ */
+const findUnknownReferences = ({services, singletons, actions, plugins}) => {
+    const errors = [];
+
+    const check = (kind, entities, getReferences) =>
+        Object.entries(entities).forEach(([name, entity]) => {
+            getReferences(entity).forEach(([referenceKind, references, known, verb = 'requires']) => {
+                references
+                    .filter(reference => !known[reference])
+                    .forEach(reference =>
+                        errors.push({
+                            type: 'unknown-reference',
+                            message: `${upperFirst(kind)} "${name}" ${verb} unknown ${referenceKind} "${reference}"`,
+                            entity: {kind, name},
+                            reference: {kind: referenceKind, name: reference},
+                        }),
+                    );
+            });
+        });
+
+    check('service', services, srv => [
+        ['singleton', srv.getRequiredSingletons(), singletons],
+        ['action', srv.getRequiredActions().filter(a => !a.startsWith('#')), actions],
+        ['service', srv.getRequiredServices(), services],
+    ]);
+    check('singleton', singletons, singleton => [['singleton', singleton.getRequiredSingletons(), singletons]]);
+    check('action', actions, action => [
+        ['singleton', action.getRequiredSingletons(), singletons],
+        ['action', action.getRequiredActions(), actions],
+        ['plugin', action.getRequiredPlugins(), plugins, 'tries to configure'],
+    ]);
+    check('plugin', plugins, plugin => [['singleton', plugin.getRequiredSingletons(), singletons]]);
+
+    return errors;
+};
+
+exports.findUnknownReferences = findUnknownReferences;
+
+/**
+ * Throws if any entity requires unknown one
+ * @param {Object<string, Service>} services
+ * @param {Object<string, Singleton>} singletons
+ * @param {Object<string, Action>} actions
+ * @param {Object<string, Plugin>} plugins
+ * @throws
+ */
+exports.checkReferences = ({services, singletons, actions, plugins}) => {
+    const [error] = findUnknownReferences({services, singletons, actions, plugins});
+
+    if (error) throw new Error(error.message);
+};
+
+/**
+ * Returns strongly connected components of graph by Tarjan's algorithm, references to unknown nodes are ignored
+ * @param {Array<string>} names
+ * @param {function(string): Array<string>} getEdges
+ * @returns {Array<Array<string>>}
+ */
+const getComponents = (names, getEdges) => {
+    const known = new Set(names),
+        index = new Map(),
+        low = new Map(),
+        stack = [],
+        components = [];
+
+    const connect = name => {
+        index.set(name, index.size);
+        low.set(name, index.get(name));
+        stack.push(name);
+
+        getEdges(name)
+            .filter(next => known.has(next))
+            .forEach(next => {
+                if (!index.has(next)) {
+                    connect(next);
+                    low.set(name, Math.min(low.get(name), low.get(next)));
+                } else if (stack.includes(next)) low.set(name, Math.min(low.get(name), index.get(next)));
+            });
+
+        if (low.get(name) === index.get(name)) components.push(stack.splice(stack.indexOf(name)));
+    };
+
+    names.filter(name => !index.has(name)).forEach(connect);
+
+    return components;
+};
+
+/**
+ * Returns every elementary cycle as path which starts and ends with the same node, references to unknown nodes are
+ * ignored. Cycles are enumerated from the first node in order, so every cycle is reported once.
+ * Johnson's algorithm is used: search from every node is limited by its strongly connected component among
+ * the following nodes and nodes which could not lead back to the start are blocked until it changes
+ * @param {Array<string>} names
+ * @param {function(string): Array<string>} getEdges
+ * @returns {Array<Array<string>>}
+ */
+exports.findCycles = (names, getEdges) => {
+    const cycles = [];
+
+    names.forEach((start, i) => {
+        const component = new Set(getComponents(names.slice(i), getEdges).find(c => c.includes(start))),
+            blocked = new Set(),
+            blockedBy = new Map(),
+            path = [start];
+
+        const getComponentEdges = name => getEdges(name).filter(next => component.has(next));
+
+        const unblock = name => {
+            const dependents = blockedBy.get(name) || [];
+
+            blocked.delete(name);
+            blockedBy.delete(name);
+            dependents.forEach(n => blocked.has(n) && unblock(n));
+        };
+
+        const circuit = name => {
+            let found = false;
+
+            blocked.add(name);
+            getComponentEdges(name).forEach(next => {
+                if (next === start) {
+                    cycles.push([...path, start]);
+                    found = true;
+                } else if (!blocked.has(next)) {
+                    path.push(next);
+                    found = circuit(next) || found;
+                    path.pop();
+                }
+            });
+
+            if (found) unblock(name);
+            else getComponentEdges(name).forEach(next => blockedBy.set(next, new Set(blockedBy.get(next)).add(name)));
+
+            return found;
+        };
+
+        circuit(start);
+    });
+
+    return cycles;
+};
+
+/**
+ * Returns required singletons with all their dependencies, every singleton goes after its dependencies
+ * @param {Object<string, Singleton>} singletons
+ * @param {Array<string>} requiredSingletons
+ * @throws
+ * @returns {Array<string>}
+ */
+exports.sortSingletons = (singletons, requiredSingletons) => {
+    const serviceNode = Symbol('service-singleton'),
+        graph = requiredSingletons.map(i => [serviceNode, i]),
+        allSingletons = new Set(requiredSingletons);
+
+    requiredSingletons.forEach(name => getDependencies(name));
+
+    allSingletons.forEach(name => {
+        singletons[name].getRequiredSingletons().forEach(n => graph.push([name, n]));
+    });
+
+    return sort(graph).reverse().slice(0, -1);
+
+    function getDependencies(name, dependedBy = []) {
+        allSingletons.add(name);
+
+        singletons[name].getRequiredSingletons().forEach(n => {
+            if (dependedBy.includes(name))
+                throw new Error(`Found singletons circular dependency: ${[...dependedBy, name, n].join(' -> ')}`);
+
+            getDependencies(n, [...dependedBy, name]);
+        });
+    }
+};
+
+/**
+ * Returns required services with all their dependencies, every service goes after services it depends on
+ * @param {Object<string, Service>} services
+ * @param {Array<string>} requiredServices
+ * @throws
+ * @returns {Array<string>}
+ */
+exports.sortServices = (services, requiredServices) => {
+    const rootNode = Symbol('services'),
+        graph = requiredServices.map(i => [rootNode, i]),
+        allServices = new Set(requiredServices);
+
+    requiredServices.forEach(name => getDependencies(name));
+
+    allServices.forEach(name => {
+        services[name].getRequiredServices().forEach(n => graph.push([name, n]));
+    });
+
+    return sort(graph).reverse().slice(0, -1);
+
+    function getDependencies(name, dependedBy = []) {
+        allServices.add(name);
+
+        services[name].getRequiredServices().forEach(n => {
+            if (dependedBy.includes(name))
+                throw new Error(`Found services circular dependency: ${[...dependedBy, name, n].join(' -> ')}`);
+
+            getDependencies(n, [...dependedBy, name]);
+        });
+    }
+};
+
+/**
+ * Returns required actions with all their dependencies, every action goes after its dependencies
+ * @param {Object<string, Action>} actions
+ * @param {string} serviceName
+ * @param {Array<string>} requiredActions
+ * @param {Array<string>} singletons singletons available for actions
+ * @throws
+ * @returns {Array<string>}
+ */
+exports.sortActions = ({actions, serviceName, requiredActions, singletons}) => {
+    const allActions = new Set(requiredActions),
+        serviceNode = Symbol('service-action'),
+        graph = requiredActions.map(i => [serviceNode, i]);
+
+    requiredActions.forEach(name => getDependencies(name));
+
+    allActions.forEach(name => {
+        const action = actions[name];
+
+        const notIncluded = difference(action.getRequiredSingletons(), singletons);
+        if (notIncluded.length)
+            throw new Error(
+                `Action "${name}" in service "${serviceName}" requires not included singleton(s): ` +
+                    `"${notIncluded.join('", "')}". Please add them to service definition`,
+            );
+
+        action.getRequiredActions().forEach(a => graph.push([name, a]));
+    });
+
+    return sort(graph).reverse().slice(0, -1);
+
+    function getDependencies(name, dependedBy = []) {
+        allActions.add(name);
+
+        actions[name].getRequiredActions().forEach(n => {
+            if (dependedBy.includes(name))
+                throw new Error(
+                    `Found actions circular dependency in service ${serviceName}: ` +
+                        `${[...dependedBy, name, n].join(' -> ')}`,
+                );
+
+            getDependencies(n, [...dependedBy, name]);
+        });
+    }
+};
+
+/**
+ * Collects dependencies and dependents of every entity, services have to be loaded
+ * @param {Object<string, Service>} services
+ * @param {Object<string, Singleton>} singletons
+ * @param {Object<string, Action>} actions
+ * @param {Object<string, Plugin>} plugins
+ * @returns {{services: Object, singletons: Object, actions: Object, plugins: Object}}
+ */
+exports.collectDependencies = ({services, singletons, actions, plugins}) => {
+    const result = {
+        services: {},
+        singletons: {},
+        actions: {},
+        plugins: {},
+    };
+
+    Object.entries(services).forEach(([name, service]) => {
+        result.services[name] = {
+            services: service.getRequiredServices(),
+            singletons: [...service.dependencies.singletons],
+            actions: [...service.dependencies.actions],
+            localActions: [...service.dependencies.localActions],
+            plugins: [...service.dependencies.plugins],
+        };
+    });
+
+    Object.entries(singletons).forEach(([name, singleton]) => {
+        result.singletons[name] = {
+            dependencies: {
+                singletons: singleton.getRequiredSingletons(),
+            },
+            dependents: {
+                actions: [],
+                singletons: [],
+                plugins: [],
+                services: [],
+            },
+        };
+    });
+
+    Object.entries(actions).forEach(([name, action]) => {
+        result.actions[name] = {
+            dependencies: {
+                singletons: action.getRequiredSingletons(),
+                actions: action.getRequiredActions(),
+                plugins: action.getAllPluginParams(),
+            },
+            dependents: {
+                actions: [],
+                services: [],
+            },
+        };
+
+        if (action.hasPolicies()) result.actions[name].policies = action.getPolicies();
+
+        if (action.input) result.actions[name].input = cloneDeep(action.input);
+
+        if (action.output) result.actions[name].output = cloneDeep(action.output);
+    });
+
+    Object.entries(plugins).forEach(([name, plugin]) => {
+        result.plugins[name] = {
+            dependencies: {
+                singletons: plugin.getRequiredSingletons(),
+            },
+            dependents: {
+                actions: [],
+            },
+        };
+    });
+
+    // collect dependents
+    Object.entries(services).forEach(([name, service]) => {
+        service.getRequiredSingletons().forEach(s => result.singletons[s].dependents.services.push(name));
+        service.getRequiredActions().forEach(a => result.actions[a].dependents.services.push(name));
+        service
+            .getRequiredLocalActions()
+            .forEach(a => result.actions[localActionName(name, a)].dependents.services.push(name));
+    });
+    Object.entries(singletons).forEach(([name, singleton]) => {
+        singleton.getRequiredSingletons().forEach(s => result.singletons[s].dependents.singletons.push(name));
+    });
+    Object.entries(plugins).forEach(([name, plugin]) => {
+        plugin.getRequiredSingletons().forEach(s => result.singletons[s].dependents.plugins.push(name));
+    });
+    Object.entries(actions).forEach(([name, action]) => {
+        action.getRequiredActions().forEach(a => result.actions[a].dependents.actions.push(name));
+        action.getRequiredSingletons().forEach(s => result.singletons[s].dependents.actions.push(name));
+        action.getRequiredPlugins().forEach(p => result.plugins[p].dependents.actions.push(name));
+    });
+
+    return result;
+};
+
+/**
+ * Returns plugins required explicitly and by actions, every plugin has to depend only on given singletons
+ * @param {Object<string, Action>} actions
+ * @param {Object<string, Plugin>} plugins
+ * @param {Array<string>} requiredActions
+ * @param {Array<string>} requiredPlugins
+ * @param {Array<string>} singletons singletons available for plugins
+ * @throws
+ * @returns {Array<string>}
+ */
+exports.pickPlugins = ({actions, plugins, requiredActions, requiredPlugins, singletons}) => {
+    const names = [...requiredPlugins];
+
+    requiredActions.forEach(actionName => {
+        actions[actionName].getRequiredPlugins().forEach(pluginName => {
+            if (!names.includes(pluginName)) names.push(pluginName);
+        });
+    });
+
+    names.forEach(pluginName => {
+        const notIncluded = difference(plugins[pluginName].getRequiredSingletons(), singletons);
+        if (notIncluded.length)
+            throw new Error(
+                `Plugin "${pluginName}" requires not included singleton(s): "${notIncluded.join('", "')}". ` +
+                    'Please add them to service definition or do not use this plugin',
+            );
+    });
+
+    return names;
+};
@@ -0,0 +1,84 @@
+'use strict';
+
+const {uniq, upperFirst, fromPairs} = require('lodash');
+const {describeEntity, callHandler, SERVICE_RUNNING} = require('./utils');
+
+/**
+ * Runs health check of singleton or plugin, loaded entity without health check is healthy
+ * @param {Broker} broker
+ * @param {string} kind "singleton" or "plugin"
+ * @param {string} name
+ * @returns {Promise<{state: string, healthy: boolean, durationMs: number, details: *, error: string}>}
+ */
+const checkEntity = async (broker, kind, name) => {
+    const entity = kind === 'singleton' ? broker.singletons[name] : broker.plugins[name],
+        path = [describeEntity(kind, name)],
+        startedAt = Date.now();
+
+    if (!entity.isLoaded())
+        return {state: entity.state, healthy: false, durationMs: 0, error: `${upperFirst(path[0])} is not loaded`};
+
+    if (!entity.healthCheck) return {state: entity.state, healthy: true, durationMs: 0};
+
+    const result = await callHandler({
+        fn: entity.healthCheck.bind(entity, {instance: entity.instance, state: entity.stateData}),
+        timeout: broker.getHealthCheckTimeout(entity),
+        path,
+        operation: 'pass health check',
+    }).then(
+        details => {
+            if (details === false) return {healthy: false, error: `${upperFirst(path[0])} health check failed`};
+
+            return details === undefined || details === true ? {healthy: true} : {healthy: true, details};
+        },
+        error => ({healthy: false, error: error.message}),
+    );
+
+    return {state: entity.state, durationMs: Date.now() - startedAt, ...result};
+};
+
+/**
+ * Runs health checks of singletons and plugins used by given service or by all running services.
+ * Service is healthy if it is running and all its singletons and plugins are healthy
+ * @param {Broker} broker
+ * @param {string} [serviceName]
+ * @returns {Promise<{healthy: boolean, services: Object, singletons: Object, plugins: Object}>}
+ */
+exports.getHealth = async (broker, serviceName) => {
+    const services = serviceName === undefined ? broker.getRunningServices() : [serviceName];
+
+    services.forEach(name => broker.loadService(name));
+
+    const collect = type =>
+        uniq(services.reduce((res, name) => [...res, ...broker.getServiceByName(name).dependencies[type]], []));
+
+    const check = (kind, names) => Promise.all(names.map(async name => [name, await checkEntity(broker, kind, name)]));
+
+    const [singletons, plugins] = await Promise.all([
+        check('singleton', collect('singletons')),
+        check('plugin', collect('plugins')),
+    ]);
+
+    const report = {
+        healthy: true,
+        services: {},
+        singletons: fromPairs(singletons),
+        plugins: fromPairs(plugins),
+    };
+
+    services.forEach(name => {
+        const service = broker.getServiceByName(name),
+            {dependencies} = service;
+
+        report.services[name] = {
+            state: service.state,
+            healthy:
+                service.state === SERVICE_RUNNING &&
+                dependencies.singletons.every(s => report.singletons[s].healthy) &&
+                dependencies.plugins.every(p => report.plugins[p].healthy),
+        };
+    });
+    report.healthy = Object.values(report.services).every(s => s.healthy);
+
+    return report;
+};
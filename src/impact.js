@@ -0,0 +1,108 @@
+'use strict';
+
+const {isEqual, uniq} = require('lodash');
+const {checkEntity} = require('./utils');
+const {collectGraph} = require('./graph-export');
+
+/**
+ * Returns entities which require given one directly or, if transitive, through other entities
+ * @param {Broker} broker
+ * @param {{kind: string, name: string}} entity
+ * @param {Object} [options]
+ * @param {boolean} [options.transitive=false]
+ * @throws
+ * @returns {{services: Array<string>, singletons: Array<string>, actions: Array<string>, plugins: Array<string>}}
+ */
+const getDependents = (broker, {kind, name}, {transitive = false} = {}) => {
+    checkEntity(broker, kind, name);
+
+    const dependencies = broker.getDependencies(),
+        result = {services: [], singletons: [], actions: [], plugins: []};
+
+    // services are not dependents of other entities in getDependencies, but could require each other
+    const getDirectDependents = (k, n) => {
+        if (k !== 'service') return dependencies[`${k}s`][n].dependents;
+
+        return {
+            services: Object.keys(broker.services).filter(s => broker.services[s].getRequiredServices().includes(n)),
+        };
+    };
+
+    const visit = (k, n) =>
+        Object.entries(getDirectDependents(k, n)).forEach(([type, names]) =>
+            names
+                .filter(dependent => !result[type].includes(dependent))
+                .forEach(dependent => {
+                    result[type].push(dependent);
+                    if (transitive) visit(type.slice(0, -1), dependent);
+                }),
+        );
+
+    visit(kind, name);
+
+    return result;
+};
+
+exports.getDependents = getDependents;
+
+/**
+ * @param {Broker} broker
+ * @returns {Map<string, {kind: string, name: string, dependencies: Object<string, Object>}>} entities by reference
+ */
+const indexGraph = broker => {
+    const {nodes, edges} = collectGraph(broker),
+        entities = new Map(nodes.map(({id, kind, name}) => [id, {kind, name, dependencies: {}}]));
+
+    edges.forEach(({from, to, params}) => {
+        entities.get(from).dependencies[to] = params;
+    });
+
+    return entities;
+};
+
+/**
+ * Compares dependency graphs of two brokers. Entity is changed if its direct dependencies or plugin params differ,
+ * affected services are changed services and services which reach added, removed or changed entities
+ * @param {Broker} before
+ * @param {Broker} after
+ * @returns {{added: Array<string>, removed: Array<string>, changed: Array<Object>, affectedServices: Array<string>}}
+ * entities are referenced as "<kind>:<name>"
+ */
+exports.diffGraphs = (before, after) => {
+    const previous = indexGraph(before),
+        next = indexGraph(after),
+        added = [...next.keys()].filter(id => !previous.has(id)),
+        removed = [...previous.keys()].filter(id => !next.has(id)),
+        changed = [];
+
+    next.forEach(({dependencies}, id) => {
+        if (!previous.has(id)) return;
+
+        const old = previous.get(id).dependencies,
+            diff = {
+                id,
+                added: Object.keys(dependencies).filter(d => !(d in old)),
+                removed: Object.keys(old).filter(d => !(d in dependencies)),
+                params: Object.keys(dependencies).filter(d => d in old && !isEqual(old[d], dependencies[d])),
+            };
+
+        if (diff.added.length || diff.removed.length || diff.params.length) changed.push(diff);
+    });
+
+    const getAffectedServices = (broker, entities, id) => {
+        const {kind, name} = entities.get(id),
+            {services} = getDependents(broker, {kind, name}, {transitive: true});
+
+        return kind === 'service' ? [name, ...services] : services;
+    };
+
+    const affectedServices = uniq([
+        ...[...added, ...changed.map(c => c.id)].reduce(
+            (res, id) => [...res, ...getAffectedServices(after, next, id)],
+            [],
+        ),
+        ...removed.reduce((res, id) => [...res, ...getAffectedServices(before, previous, id)], []),
+    ]).sort();
+
+    return {added, removed, changed, affectedServices};
+};
@@ -0,0 +1,600 @@
+'use strict';
+
+const {EventEmitter} = require('events');
+const {isFunction, isPlainObject, mapValues, set, noop} = require('lodash');
+const {
+    isPositiveInteger,
+    createLimiter,
+    sleep,
+    describeEntity,
+    callHandler,
+    getPathService,
+    TimeoutError,
+    DEFAULT_HEALTH_CHECK_TIMEOUT,
+} = require('./utils');
+const Singleton = require('./singleton');
+const Plugin = require('./plugin');
+const Action = require('./action');
+const {isMiddlewareList, applyMiddleware} = require('./middleware');
+const {applyPolicies} = require('./policies');
+const {applySchemas} = require('./schema');
+const {createCallContext} = require('./context');
+const {createTracer, applyTracing} = require('./tracing');
+
+/**
+ * Starts and stops singletons, plugins and actions
+ */
+class Lifecycle extends EventEmitter {
+    /**
+     * @param {number} [singletonsConcurrency=Infinity] max number of singletons starting at the same time
+     * @param {number} [startTimeout] default milliseconds to wait for singleton, plugin or service start
+     * @param {number} [stopTimeout] default milliseconds to wait for singleton, plugin or service stop
+     * @param {number} [healthCheckTimeout=5000] default milliseconds to wait for singleton or plugin health check
+     * @param {Array<function>} [middleware] (ctx, next) functions wrapping every initialized action
+     * @param {boolean} [schemaValidation=true] validate arguments and results of actions against their schemas
+     * @param {boolean|Object} [tracing=false] record spans of action calls, true or {bufferSize=1000, exporters=[]}
+     */
+    constructor({
+        singletonsConcurrency = Infinity,
+        startTimeout,
+        stopTimeout,
+        healthCheckTimeout = DEFAULT_HEALTH_CHECK_TIMEOUT,
+        middleware = [],
+        schemaValidation = true,
+        tracing = false,
+    }) {
+        super();
+
+        if (singletonsConcurrency !== Infinity && !isPositiveInteger(singletonsConcurrency))
+            throw new Error('Parameter "singletonsConcurrency" have to be a positive integer');
+
+        if (startTimeout !== undefined && !isPositiveInteger(startTimeout))
+            throw new Error('Parameter "startTimeout" have to be a positive integer');
+
+        if (stopTimeout !== undefined && !isPositiveInteger(stopTimeout))
+            throw new Error('Parameter "stopTimeout" have to be a positive integer');
+
+        if (!isPositiveInteger(healthCheckTimeout))
+            throw new Error('Parameter "healthCheckTimeout" have to be a positive integer');
+
+        if (!isMiddlewareList(middleware)) throw new Error('Parameter "middleware" have to be an array of functions');
+
+        if (typeof schemaValidation !== 'boolean') throw new Error('Parameter "schemaValidation" have to be a boolean');
+
+        this.singletons = {};
+        this.actions = {};
+        this.plugins = {};
+        this.singletonsLimiter = createLimiter(singletonsConcurrency);
+        this.startTimeout = startTimeout;
+        this.stopTimeout = stopTimeout;
+        this.healthCheckTimeout = healthCheckTimeout;
+        this.middleware = middleware;
+        this.schemaValidation = schemaValidation;
+        this.callContext = createCallContext();
+        // service which obtained called action, shared actions and actions they call are executed on its behalf
+        this.ownerContext = createCallContext();
+        this.tracer = createTracer(tracing);
+    }
+
+    /**
+     * Runs fn with call context available to every action, middleware and async operation started by fn,
+     * context values are merged with values of the outer context
+     * @param {Object} ctx e.g. {requestId, tenantId, deadline}
+     * @param {function} fn
+     * @returns {*} result of fn
+     */
+    runInContext(ctx, fn) {
+        return this.callContext.run(ctx, fn);
+    }
+
+    /**
+     * Returns current call context, e.g. to add request id to log records
+     * @param {string} [key]
+     * @returns {*} value of key or whole frozen context object, empty outside of Broker#runInContext()
+     */
+    getContext(key) {
+        return this.callContext.get(key);
+    }
+
+    /**
+     * Emits lifecycle event with entity name as the first argument, so listeners which expect only name still work,
+     * and payload {kind, name, service, durationMs, error, ...data} as the second one
+     * @param {string} event "<kind>-<stage>", e.g. "singleton-started"
+     * @param {string} name
+     * @param {Object} [details]
+     * @param {Array<string>} [details.path] dependency path, owning service is taken from it
+     * @param {number} [details.startedAt] timestamp in ms to calculate duration from
+     * @param {Error} [details.error]
+     */
+    emitLifecycleEvent(event, name, {path = [], startedAt, error, ...data} = {}) {
+        const payload = {kind: event.split('-')[0], name, service: getPathService(path), ...data};
+
+        if (startedAt !== undefined) payload.durationMs = Date.now() - startedAt;
+
+        if (error) payload.error = error;
+
+        this.emit(event, name, payload);
+    }
+
+    /**
+     * @param {Singleton|Plugin|Service} entity
+     * @returns {number|undefined}
+     */
+    getStartTimeout(entity) {
+        return entity.startTimeout === undefined ? this.startTimeout : entity.startTimeout;
+    }
+
+    /**
+     * @param {Singleton|Plugin|Service} entity
+     * @returns {number|undefined}
+     */
+    getStopTimeout(entity) {
+        return entity.stopTimeout === undefined ? this.stopTimeout : entity.stopTimeout;
+    }
+
+    /**
+     * @param {Singleton|Plugin} entity
+     * @returns {number}
+     */
+    getHealthCheckTimeout(entity) {
+        return entity.healthCheckTimeout === undefined ? this.healthCheckTimeout : entity.healthCheckTimeout;
+    }
+
+    /**
+     * Starts singletons concurrently, every singleton starts right after all its dependencies are loaded.
+     * Rejects with the first error after all starts are finished, so nothing is left starting on failure
+     * @param {Array<string>} names
+     * @param {Array<string>} [path] dependency path which led to the singletons
+     * @returns {Promise<Object>}
+     */
+    async startSingletons(names, path = []) {
+        const result = {},
+            started = {};
+
+        const startWithDependencies = (name, dependedBy) => {
+            if (!started[name]) {
+                const singletonPath = [...dependedBy, describeEntity('singleton', name)];
+
+                started[name] = Promise.all(
+                    this.singletons[name].getRequiredSingletons().map(n => startWithDependencies(n, singletonPath)),
+                ).then(() => this.startSingleton(name, singletonPath));
+            }
+
+            return started[name];
+        };
+
+        // dependents go first to get the longest dependency path for every singleton
+        const results = await Promise.allSettled([...names].reverse().map(name => startWithDependencies(name, path)));
+        const failed = results.find(r => r.status === 'rejected');
+
+        if (failed) throw failed.reason;
+
+        names.forEach(name => set(result, name, this.singletons[name].instance));
+
+        return result;
+    }
+
+    /**
+     * Starts singleton, its dependencies have to be loaded already
+     * @param {string} name
+     * @param {Array<string>} [path] dependency path, the last item is the singleton itself
+     * @returns {Promise<*>} singleton instance
+     */
+    startSingleton(name, path = [describeEntity('singleton', name)]) {
+        const singleton = this.singletons[name];
+
+        if (singleton.isLoaded()) return Promise.resolve(singleton.instance);
+
+        if (singleton.isLoading()) return singleton.promise;
+
+        if (singleton.isUnloading())
+            return Promise.reject(new Error(`Cannot start singleton "${name}" because it is stopping now`));
+
+        let startedAt;
+
+        singleton.state = Singleton.STATE.loading;
+        singleton.promise = this.singletonsLimiter(async () => {
+            startedAt = Date.now();
+            this.emitLifecycleEvent('singleton-starting', name, {path});
+            const singletons = singleton.getRequiredSingletons().reduce((res, n) => {
+                set(res, n, this.singletons[n].instance);
+                return res;
+            }, {});
+
+            for (let attempt = 1; ; attempt++) {
+                const pending = Promise.resolve().then(() => singleton.start({singletons, state: singleton.stateData}));
+
+                try {
+                    return await callHandler({
+                        fn: () => pending,
+                        timeout: this.getStartTimeout(singleton),
+                        path,
+                        operation: 'start',
+                    });
+                } catch (error) {
+                    // timed out attempt could still resolve, its instance would be lost then
+                    if (error instanceof TimeoutError)
+                        pending.then(instance => this.stopAbandonedSingleton(name, instance, path), noop);
+
+                    if (!singleton.shouldRetry(error, attempt)) throw error;
+
+                    const delay = singleton.getRetryDelay(attempt);
+                    this.emitLifecycleEvent('singleton-retrying', name, {path, startedAt, error, attempt, delay});
+                    await sleep(delay);
+                }
+            }
+        }).then(
+            instance => {
+                singleton.instance = instance;
+                singleton.state = Singleton.STATE.loaded;
+                this.emitLifecycleEvent('singleton-started', name, {path, startedAt});
+
+                return instance;
+            },
+            error => {
+                singleton.state = Singleton.STATE.initial;
+                this.emitLifecycleEvent('singleton-failed', name, {path, startedAt, error});
+                throw error;
+            },
+        );
+
+        return singleton.promise;
+    }
+
+    /**
+     * Stops instance resolved by start attempt after its timeout, stop errors are ignored
+     * since the attempt was already reported as failed
+     * @param {string} name
+     * @param {*} instance
+     * @param {Array<string>} path dependency path of the start
+     * @returns {Promise<void>}
+     */
+    async stopAbandonedSingleton(name, instance, path) {
+        const singleton = this.singletons[name];
+
+        if (!singleton.stop) return;
+
+        await callHandler({
+            fn: singleton.stop.bind(singleton, {state: singleton.stateData, instance}),
+            timeout: this.getStopTimeout(singleton),
+            path,
+            operation: 'stop',
+        }).catch(noop);
+    }
+
+    /**
+     * Stops singleton, it is considered stopped even if its stop handler fails
+     * @param {string} name
+     * @param {Array<string>} [path] dependency path which led to the singleton
+     * @returns {Promise<void>}
+     */
+    async stopSingleton(name, path = []) {
+        const singleton = this.singletons[name],
+            startedAt = Date.now();
+
+        this.emitLifecycleEvent('singleton-stopping', name, {path});
+        await this.disposeActionsUsing('singleton', name);
+        if (singleton.stop && singleton.isLoaded()) {
+            singleton.state = Singleton.STATE.unloading;
+            try {
+                await callHandler({
+                    fn: singleton.stop.bind(singleton, {state: singleton.stateData, instance: singleton.instance}),
+                    timeout: this.getStopTimeout(singleton),
+                    path: [...path, describeEntity('singleton', name)],
+                    operation: 'stop',
+                });
+            } finally {
+                singleton.state = Singleton.STATE.initial;
+            }
+        }
+        singleton.state = Singleton.STATE.initial;
+        this.emitLifecycleEvent('singleton-stopped', name, {path, startedAt});
+    }
+
+    /**
+     * Checks whether singleton is required by not stopped singleton or plugin
+     * @param {string} name
+     * @returns {boolean}
+     */
+    hasAliveDependents(name) {
+        return [...Object.values(this.singletons), ...Object.values(this.plugins)].some(
+            entity => !entity.isInit() && entity.getRequiredSingletons().includes(name),
+        );
+    }
+
+    /**
+     * @param {Array<string>} names sorted actions
+     * @param {Array<string>} [path] dependency path which led to the actions
+     * @returns {Promise<Object>}
+     */
+    async startActions(names, path = []) {
+        const result = {};
+
+        for (const name of names) {
+            const fn = await this.initAction(name, path);
+
+            const realName = name.includes('#') ? name.split('#')[1] : name;
+            set(result, realName, fn);
+        }
+
+        return result;
+    }
+
+    /**
+     * Initializes action once, concurrent calls wait for the same initialization.
+     * Actions it depends on have to be initialized already
+     * @param {string} name
+     * @param {Array<string>} [path] dependency path which led to the action
+     * @returns {Promise<function>}
+     */
+    initAction(name, path = []) {
+        const action = this.actions[name],
+            startedAt = Date.now();
+
+        if (action.isLoaded()) return Promise.resolve(action.initializedFn);
+
+        if (action.isLoading()) return action.promise;
+
+        action.state = Action.STATE.loading;
+        this.emitLifecycleEvent('action-starting', name, {path});
+        action.promise = this.createActionFn(name).then(
+            fn => {
+                action.initializedFn = fn;
+                action.state = Action.STATE.loaded;
+                this.emitLifecycleEvent('action-started', name, {path, startedAt});
+
+                return fn;
+            },
+            error => {
+                action.state = Action.STATE.initial;
+                this.emitLifecycleEvent('action-failed', name, {path, startedAt, error});
+                throw error;
+            },
+        );
+
+        return action.promise;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Promise<function>}
+     */
+    async createActionFn(name) {
+        const action = this.actions[name];
+
+        const actions = {};
+        action.getRequiredActions().forEach(actionName => {
+            set(actions, actionName, this.actions[actionName].initializedFn);
+        });
+
+        const singletons = {};
+        action.getRequiredSingletons().forEach(singletonName => {
+            set(singletons, singletonName, this.singletons[singletonName].instance);
+        });
+
+        const plugins = {};
+        await Promise.all(
+            action.getRequiredPlugins().map(async pluginName => {
+                const plugin = this.plugins[pluginName];
+                set(plugins, pluginName, await plugin.instance(action.getPluginParams(pluginName)));
+            }),
+        );
+
+        const fn = await action.fn({actions, singletons, plugins, state: action.stateData, context: this.callContext});
+
+        if (!isFunction(fn)) {
+            throw new Error(`Action "${name}" did not return function`);
+        }
+
+        return this.wrapAction(name, fn);
+    }
+
+    /**
+     * Binds action functions to service which obtained them, so every call of these actions and of actions they call
+     * is made on behalf of the service
+     * @param {Object} actions action functions, nested by namespaces
+     * @param {string} [service] omitted for scripts
+     * @returns {Object}
+     */
+    bindActions(actions, service) {
+        return mapValues(actions, value => {
+            if (isPlainObject(value)) return this.bindActions(value, service);
+
+            return this.bindAction(value, service);
+        });
+    }
+
+    /**
+     * @param {function} fn action function
+     * @param {string} [service] omitted for scripts
+     * @returns {function}
+     */
+    bindAction(fn, service) {
+        // owning service is used by middleware and tracing only
+        const ownerUsed =
+            this.tracer || this.middleware.length || Object.values(this.actions).some(a => a.middleware.length);
+
+        if (!ownerUsed) return fn;
+
+        return (...args) => this.ownerContext.run({service}, () => fn(...args));
+    }
+
+    /**
+     * Applies action policies, input and output schemas, broker and action middleware and then tracing
+     * to initialized action function, so middleware sees a single call however many attempts policies make
+     * and invalid arguments are rejected before any attempt, span covers the whole call including middleware.
+     * Local action calls other actions on behalf of its service however it is obtained
+     * @param {string} name
+     * @param {function} fn
+     * @returns {function}
+     */
+    wrapAction(name, fn) {
+        const wrapped = applyTracing(
+            this,
+            name,
+            applyMiddleware({
+                action: name,
+                fn: applySchemas(this, name, applyPolicies(this, name, fn)),
+                middleware: [...this.middleware, ...this.actions[name].middleware],
+                getContext: this.callContext.get,
+                getService: () => this.ownerContext.get('service'),
+            }),
+        );
+
+        return name.includes('#') ? this.bindAction(wrapped, name.split('#')[0]) : wrapped;
+    }
+
+    /**
+     * Drops initialized function of action and then of all initialized actions depending on it.
+     * Action will be initialized again on the next start. Failed dispose handler does not stop teardown,
+     * action is disposed anyway and the error is passed in "action-disposed" event payload
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
+    async disposeAction(name) {
+        const action = this.actions[name];
+
+        if (action.isLoading()) await action.promise.then(noop, noop);
+
+        if (!action.isLoaded()) return;
+
+        action.state = Action.STATE.initial;
+        action.initializedFn = undefined;
+        await Promise.all(
+            Object.keys(this.actions)
+                .filter(n => this.actions[n].getRequiredActions().includes(name))
+                .map(n => this.disposeAction(n)),
+        );
+
+        const startedAt = Date.now();
+        let error;
+
+        this.emitLifecycleEvent('action-disposing', name);
+        try {
+            if (action.dispose) await action.dispose({state: action.stateData});
+        } catch (e) {
+            error = e;
+        }
+        this.emitLifecycleEvent('action-disposed', name, {startedAt, error});
+    }
+
+    /**
+     * Disposes initialized actions which captured given singleton or plugin
+     * @param {string} kind "singleton" or "plugin"
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
+    async disposeActionsUsing(kind, name) {
+        await Promise.all(
+            Object.entries(this.actions)
+                .filter(([, action]) => {
+                    const required =
+                        kind === 'singleton' ? action.getRequiredSingletons() : action.getRequiredPlugins();
+
+                    return required.includes(name);
+                })
+                .map(([actionName]) => this.disposeAction(actionName)),
+        );
+    }
+
+    /**
+     * Starts plugins concurrently, rejects with the first error after all starts are finished
+     * @param {Array<string>} names
+     * @param {Array<string>} [path] dependency path which led to the plugins
+     * @returns {Promise<Object>}
+     */
+    async startPlugins(names, path = []) {
+        const plugins = {};
+
+        const results = await Promise.allSettled(
+            names.map(async name => {
+                set(plugins, name, await this.startPlugin(name, [...path, describeEntity('plugin', name)]));
+            }),
+        );
+        const failed = results.find(r => r.status === 'rejected');
+
+        if (failed) throw failed.reason;
+
+        return plugins;
+    }
+
+    /**
+     * Starts plugin, singletons it depends on have to be loaded already
+     * @param {string} name
+     * @param {Array<string>} path dependency path, the last item is the plugin itself
+     * @returns {Promise<function>} plugin instance
+     */
+    startPlugin(name, path) {
+        const plugin = this.plugins[name];
+
+        if (plugin.isLoaded()) return Promise.resolve(plugin.instance);
+
+        if (plugin.isLoading()) return plugin.promise;
+
+        if (plugin.isUnloading())
+            return Promise.reject(new Error(`Cannot start plugin "${name}" because it is stopping now`));
+
+        const singletons = plugin.getRequiredSingletons().reduce((res, singletonName) => {
+            res[singletonName] = this.singletons[singletonName].instance;
+            return res;
+        }, {});
+
+        const startedAt = Date.now();
+
+        plugin.state = Plugin.STATE.loading;
+        this.emitLifecycleEvent('plugin-starting', name, {path});
+        plugin.promise = callHandler({
+            fn: plugin.start.bind(plugin, {singletons, state: plugin.stateData}),
+            timeout: this.getStartTimeout(plugin),
+            path,
+            operation: 'start',
+        }).then(
+            instance => {
+                plugin.instance = instance;
+                plugin.state = Plugin.STATE.loaded;
+                this.emitLifecycleEvent('plugin-started', name, {path, startedAt});
+
+                return instance;
+            },
+            error => {
+                plugin.state = Plugin.STATE.initial;
+                this.emitLifecycleEvent('plugin-failed', name, {path, startedAt, error});
+                throw error;
+            },
+        );
+
+        return plugin.promise;
+    }
+
+    /**
+     * Stops plugin and drops its instance, it is considered stopped even if its stop handler fails
+     * @param {string} name
+     * @param {Array<string>} [path] dependency path which led to the plugin
+     * @returns {Promise<void>}
+     */
+    async stopPlugin(name, path = []) {
+        const plugin = this.plugins[name];
+
+        if (!plugin.isLoaded()) return;
+
+        const startedAt = Date.now();
+        this.emitLifecycleEvent('plugin-stopping', name, {path});
+        await this.disposeActionsUsing('plugin', name);
+        plugin.state = Plugin.STATE.unloading;
+        try {
+            if (plugin.stop)
+                await callHandler({
+                    fn: plugin.stop.bind(plugin, {state: plugin.stateData}),
+                    timeout: this.getStopTimeout(plugin),
+                    path: [...path, describeEntity('plugin', name)],
+                    operation: 'stop',
+                });
+        } finally {
+            plugin.instance = undefined;
+            plugin.state = Plugin.STATE.initial;
+        }
+        this.emitLifecycleEvent('plugin-stopped', name, {path, startedAt});
+    }
+}
+
+module.exports = Lifecycle;
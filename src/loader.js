@@ -0,0 +1,182 @@
+'use strict';
+
+const {isObject} = require('lodash');
+const {
+    loadFiles,
+    localActionName,
+    DEFAULT_SERVICE_TEMPLATE,
+    DEFAULT_SERVICE_TEMPLATE_REMOVE,
+    DEFAULT_ACTION_TEMPLATE,
+    DEFAULT_ACTION_TEMPLATE_REMOVE,
+    DEFAULT_SINGLETON_TEMPLATE,
+    DEFAULT_SINGLETON_TEMPLATE_REMOVE,
+    DEFAULT_PLUGIN_TEMPLATE,
+    DEFAULT_PLUGIN_TEMPLATE_REMOVE,
+} = require('./utils');
+const Service = require('./service');
+const Singleton = require('./singleton');
+const Action = require('./action');
+const Plugin = require('./plugin');
+
+/**
+ * Creates entities from configs and loads them from fs, local actions of services are added to actions.
+ * Absolute path of every loaded file is mapped to its entity type and name in "files"
+ * @param {string} [singletonsPath]
+ * @param {string} [actionsPath]
+ * @param {string} [pluginsPath]
+ * @param {string} [servicesPath]
+ * @param {Object} [singletons]
+ * @param {Object} [actions]
+ * @param {Object} [plugins]
+ * @param {Object} [services]
+ * @returns {{singletons: Object, actions: Object, plugins: Object, services: Object, files: Object}}
+ */
+exports.loadEntities = ({
+    singletons,
+    actions,
+    plugins,
+    services,
+    singletonsPath,
+    actionsPath,
+    pluginsPath,
+    servicesPath,
+}) => {
+    const result = {
+        singletons: {},
+        actions: {},
+        plugins: {},
+        services: {},
+        files: {},
+    };
+
+    if (singletons) {
+        if (!isObject(singletons)) throw new Error('Parameter "singletons" have to be an object');
+
+        Object.values(singletons).forEach(s => s instanceof Singleton || Singleton.validateConfig(s));
+        result.singletons = Object.entries(singletons).reduce((res, [name, s]) => {
+            res[name] = s instanceof Singleton ? s : new Singleton(s);
+            return res;
+        }, {});
+    }
+
+    if (actions) {
+        if (!isObject(actions)) throw new Error('Parameter "actions" have to be an object');
+
+        Object.values(actions).forEach(a => a instanceof Action || Action.validateConfig(a));
+        result.actions = Object.entries(actions).reduce((res, [name, a]) => {
+            res[name] = a instanceof Action ? a : new Action(a);
+            return res;
+        }, {});
+    }
+
+    if (plugins) {
+        if (!isObject(plugins)) throw new Error('Parameter "plugins" have to be an object');
+
+        Object.values(plugins).forEach(a => a instanceof Plugin || Plugin.validateConfig(a));
+        result.plugins = Object.entries(plugins).reduce((res, [name, p]) => {
+            res[name] = p instanceof Plugin ? p : new Plugin(p);
+            return res;
+        }, {});
+    }
+
+    if (services) {
+        if (!isObject(services)) throw new Error('Parameter "services" have to be an object');
+
+        Object.values(services).forEach(s => s instanceof Service || Service.validateConfig(s));
+        result.services = Object.entries(services).reduce((res, [name, s]) => {
+            res[name] = s instanceof Service ? s : new Service(s);
+            return res;
+        }, {});
+    }
+
+    // load services from fs
+    if (servicesPath) {
+        const files = loadFiles({
+            path: servicesPath,
+            template: DEFAULT_SERVICE_TEMPLATE,
+            remove: DEFAULT_SERVICE_TEMPLATE_REMOVE,
+        });
+
+        files.forEach(([name, file, filePath]) => {
+            if (result.services[name]) throw new Error(`Service with name "${name}" already exists`);
+
+            result.services[name] = file instanceof Service ? file : new Service(file);
+            result.files[filePath] = {type: 'services', name};
+        });
+    }
+
+    Object.entries(result.services).forEach(([name, srv]) => {
+        Object.entries(srv.localActions).forEach(([actionName, action]) => {
+            result.actions[localActionName(name, actionName)] = action;
+        });
+    });
+
+    // load singletons from fs
+    if (singletonsPath) {
+        const files = loadFiles({
+            path: singletonsPath,
+            template: DEFAULT_SINGLETON_TEMPLATE,
+            remove: DEFAULT_SINGLETON_TEMPLATE_REMOVE,
+        });
+
+        files.forEach(([name, file, filePath]) => {
+            if (result.singletons[name]) throw new Error(`Singleton with name "${name}" already exists`);
+
+            result.singletons[name] = file instanceof Singleton ? file : new Singleton(file);
+            result.files[filePath] = {type: 'singletons', name};
+        });
+    }
+
+    // load plugins from fs
+    if (pluginsPath) {
+        const files = loadFiles({
+            path: pluginsPath,
+            template: DEFAULT_PLUGIN_TEMPLATE,
+            remove: DEFAULT_PLUGIN_TEMPLATE_REMOVE,
+        });
+
+        files.forEach(([name, file, filePath]) => {
+            if (result.plugins[name]) throw new Error(`Plugin with name "${name}" already exists`);
+
+            result.plugins[name] = file instanceof Plugin ? file : new Plugin(file);
+            result.files[filePath] = {type: 'plugins', name};
+        });
+    }
+
+    // load actions from fs
+    if (actionsPath) {
+        const files = loadFiles({
+            path: actionsPath,
+            template: DEFAULT_ACTION_TEMPLATE,
+            remove: DEFAULT_ACTION_TEMPLATE_REMOVE,
+        });
+
+        files.forEach(([name, file, filePath]) => {
+            if (result.actions[name]) throw new Error(`Action with name "${name}" already exists`);
+
+            result.actions[name] = file instanceof Action ? file : new Action(file);
+            result.files[filePath] = {type: 'actions', name};
+        });
+    }
+
+    return result;
+};
+
+const ENTITIES = {
+    singletons: Singleton,
+    actions: Action,
+    plugins: Plugin,
+    services: Service,
+};
+
+/**
+ * Creates entity of given type from config, entity instances are returned as is
+ * @param {string} type "singletons", "actions", "plugins" or "services"
+ * @param {Object} config
+ * @returns {Singleton|Action|Plugin|Service}
+ */
+exports.createEntity = (type, config) => {
+    const Entity = ENTITIES[type];
+
+    return config instanceof Entity ? config : new Entity(config);
+};
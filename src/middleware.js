@@ -0,0 +1,35 @@
+'use strict';
+
+const {isFunction} = require('lodash');
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+exports.isMiddlewareList = value => Array.isArray(value) && value.every(isFunction);
+
+/**
+ * Wraps initialized action function with middleware, the first middleware is the outermost one.
+ * Every middleware is called as (ctx, next) where ctx is {action, service, args, context}, service is owner
+ * of local action or service on behalf of which shared action is called, context is call context
+ * of Broker#runInContext(), and next() calls the next middleware or the action function with ctx.args
+ * and returns its result
+ * @param {string} action action name
+ * @param {function} fn initialized action function
+ * @param {Array<function>} middleware
+ * @param {function(): Object} [getContext] returns current call context
+ * @param {function(): string} [getService] returns service on behalf of which action is called
+ * @returns {function}
+ */
+exports.applyMiddleware = ({action, fn, middleware, getContext = () => ({}), getService = () => undefined}) => {
+    if (!middleware.length) return fn;
+
+    const localService = action.includes('#') ? action.split('#')[0] : undefined;
+
+    return (...args) => {
+        const ctx = {action, service: localService || getService(), args, context: getContext()},
+            dispatch = i => (i < middleware.length ? middleware[i](ctx, () => dispatch(i + 1)) : fn(...ctx.args));
+
+        return dispatch(0);
+    };
+};
@@ -1,25 +1,89 @@
 'use strict';
 
 const {isFunction} = require('lodash');
-const {isStringArray} = require('./utils');
+const {isStringArray, isPositiveInteger} = require('./utils');
 
 class Plugin {
-    static validateConfig({singletons, start}) {
+    static validateConfig({singletons, start, stop, startTimeout, stopTimeout, healthCheck, healthCheckTimeout}) {
         if (!isFunction(start)) throw new Error('Plugin parameter "start" have to be a function');
 
+        if (stop && !isFunction(stop)) throw new Error('Plugin parameter "stop" have to be a function');
+
         if (singletons && !isStringArray(singletons))
             throw new Error('Plugin parameter "singletons" have to be an array of strings');
+
+        if (startTimeout !== undefined && !isPositiveInteger(startTimeout))
+            throw new Error('Plugin parameter "startTimeout" have to be a positive integer');
+
+        if (stopTimeout !== undefined && !isPositiveInteger(stopTimeout))
+            throw new Error('Plugin parameter "stopTimeout" have to be a positive integer');
+
+        if (healthCheck && !isFunction(healthCheck))
+            throw new Error('Plugin parameter "healthCheck" have to be a function');
+
+        if (healthCheckTimeout !== undefined && !isPositiveInteger(healthCheckTimeout))
+            throw new Error('Plugin parameter "healthCheckTimeout" have to be a positive integer');
     }
 
-    constructor({singletons, start}) {
-        Plugin.validateConfig({singletons, start});
+    static STATE = {
+        initial: 'initial',
+        loading: 'loading',
+        loaded: 'loaded',
+        unloading: 'unloading',
+    };
+
+    /**
+     * @param {function} start
+     * @param {function} [stop]
+     * @param {Array<string>} [singletons]
+     * @param {number} [startTimeout] milliseconds to wait for start, broker default is used if omitted
+     * @param {number} [stopTimeout] milliseconds to wait for stop, broker default is used if omitted
+     * @param {function} [healthCheck] checks started instance, it is unhealthy if check throws or returns false
+     * @param {number} [healthCheckTimeout] milliseconds to wait for health check, broker default is used if omitted
+     */
+    constructor({singletons, start, stop, startTimeout, stopTimeout, healthCheck, healthCheckTimeout}) {
+        Plugin.validateConfig({
+            singletons,
+            start,
+            stop,
+            startTimeout,
+            stopTimeout,
+            healthCheck,
+            healthCheckTimeout,
+        });
         this.singletons = singletons || [];
         this.start = start;
+        this.stop = stop;
+        this.startTimeout = startTimeout;
+        this.stopTimeout = stopTimeout;
+        this.healthCheck = healthCheck;
+        this.healthCheckTimeout = healthCheckTimeout;
+        this.stateData = {};
+        this.state = Plugin.STATE.initial;
     }
 
     getRequiredSingletons() {
         return [...this.singletons];
     }
+
+    /**
+     * @returns {boolean}
+     */
+    isInit() {
+        return this.state === Plugin.STATE.initial;
+    }
+
+    isLoading() {
+        return this.state === Plugin.STATE.loading;
+    }
+
+    isLoaded() {
+        return this.state === Plugin.STATE.loaded;
+    }
+
+    isUnloading() {
+        return this.state === Plugin.STATE.unloading;
+    }
 }
 
 module.exports = Plugin;
@@ -0,0 +1,158 @@
+'use strict';
+
+const {isObject} = require('lodash');
+const {isPositiveInteger, callWithTimeout, getBackoffDelay, sleep, validateRetry, RETRY_DEFAULTS} = require('./utils');
+
+const CIRCUIT = {
+    closed: 'closed',
+    open: 'open',
+    halfOpen: 'half-open',
+};
+
+const CIRCUIT_BREAKER_DEFAULTS = {
+    failureThreshold: 5,
+    resetTimeout: 10000,
+    halfOpenRequests: 1,
+};
+
+/**
+ * @param {Object} circuitBreaker
+ * @throws
+ */
+const validateCircuitBreaker = circuitBreaker => {
+    if (!isObject(circuitBreaker)) throw new Error('Action parameter "policies.circuitBreaker" have to be an object');
+
+    Object.keys(CIRCUIT_BREAKER_DEFAULTS).forEach(key => {
+        if (circuitBreaker[key] !== undefined && !isPositiveInteger(circuitBreaker[key]))
+            throw new Error(`Action parameter "policies.circuitBreaker.${key}" have to be a positive integer`);
+    });
+};
+
+/**
+ * @param {Object} policies
+ * @throws
+ */
+exports.validatePolicies = policies => {
+    if (!isObject(policies)) throw new Error('Action parameter "policies" have to be an object');
+
+    const {timeout, retry, circuitBreaker} = policies;
+
+    if (timeout !== undefined && !isPositiveInteger(timeout))
+        throw new Error('Action parameter "policies.timeout" have to be a positive integer');
+
+    if (retry !== undefined) validateRetry(retry, 'Action', 'policies.retry');
+
+    if (circuitBreaker !== undefined) validateCircuitBreaker(circuitBreaker);
+};
+
+/**
+ * Fills omitted options of configured policies with defaults
+ * @param {Object} [policies]
+ * @returns {{timeout: number, retry: Object, circuitBreaker: Object}}
+ */
+exports.normalizePolicies = ({timeout, retry, circuitBreaker} = {}) => {
+    const result = {};
+
+    if (timeout !== undefined) result.timeout = timeout;
+
+    if (retry !== undefined) result.retry = {...RETRY_DEFAULTS, ...retry};
+
+    if (circuitBreaker !== undefined) result.circuitBreaker = {...CIRCUIT_BREAKER_DEFAULTS, ...circuitBreaker};
+
+    return result;
+};
+
+/**
+ * @returns {{state: string, failures: number, openedAt: number, probes: number, passedProbes: number}}
+ */
+exports.createCircuit = () => ({state: CIRCUIT.closed, failures: 0, openedAt: 0, probes: 0, passedProbes: 0});
+
+/**
+ * Wraps initialized action function with policies: every attempt is limited by timeout, failed attempts are retried
+ * and circuit breaker rejects calls without attempts after too many consecutive failures.
+ * Circuit breaker lets "halfOpenRequests" probe calls through after "resetTimeout", it is closed if all of them
+ * succeed and opened again on the first failed one.
+ * Broker emits "action-retrying" and "action-circuit-<state>" events
+ * @param {Lifecycle} broker
+ * @param {string} name action name
+ * @param {function} fn initialized action function
+ * @returns {function(...*): Promise<*>}
+ */
+exports.applyPolicies = (broker, name, fn) => {
+    const action = broker.actions[name],
+        {timeout, retry, circuitBreaker} = action.policies;
+
+    if (timeout === undefined && !retry && !circuitBreaker) return fn;
+
+    const attempt = args =>
+        callWithTimeout(
+            () => fn(...args),
+            timeout,
+            () => new Error(`Action "${name}" did not finish in ${timeout}ms`),
+        );
+
+    const withRetry = async args => {
+        for (let i = 1; ; i++) {
+            try {
+                return await attempt(args);
+            } catch (error) {
+                if (!retry || i >= retry.attempts || !retry.retryable(error)) throw error;
+
+                const delay = getBackoffDelay(retry, i);
+                broker.emitLifecycleEvent('action-retrying', name, {error, attempt: i, delay});
+                await sleep(delay);
+            }
+        }
+    };
+
+    if (!circuitBreaker) return (...args) => withRetry(args);
+
+    const {circuit} = action,
+        {failureThreshold, resetTimeout, halfOpenRequests} = circuitBreaker;
+
+    const setState = (state, data) => {
+        circuit.state = state;
+        broker.emitLifecycleEvent(`action-circuit-${state}`, name, data);
+    };
+
+    const reject = () => Promise.reject(new Error(`Circuit breaker of action "${name}" is open`));
+
+    return (...args) => {
+        if (circuit.state === CIRCUIT.open) {
+            if (Date.now() - circuit.openedAt < resetTimeout) return reject();
+
+            circuit.probes = 0;
+            circuit.passedProbes = 0;
+            setState(CIRCUIT.halfOpen);
+        }
+
+        if (circuit.state === CIRCUIT.halfOpen) {
+            if (circuit.probes >= halfOpenRequests) return reject();
+
+            circuit.probes++;
+        }
+
+        // only probes decide state of half-open circuit, calls started before it became half-open do not
+        const isProbe = circuit.state === CIRCUIT.halfOpen,
+            isHalfOpenProbe = () => isProbe && circuit.state === CIRCUIT.halfOpen;
+
+        return withRetry(args).then(
+            result => {
+                circuit.failures = 0;
+                if (isHalfOpenProbe() && ++circuit.passedProbes >= halfOpenRequests) setState(CIRCUIT.closed);
+
+                return result;
+            },
+            error => {
+                circuit.failures++;
+
+                if (isHalfOpenProbe() || (circuit.state === CIRCUIT.closed && circuit.failures >= failureThreshold)) {
+                    circuit.openedAt = Date.now();
+                    setState(CIRCUIT.open, {error, failures: circuit.failures});
+                }
+
+                throw error;
+            },
+        );
+    };
+};
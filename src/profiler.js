@@ -0,0 +1,191 @@
+'use strict';
+
+const {maxBy} = require('lodash');
+const {describeEntity} = require('./utils');
+
+const ENTITY_EVENTS = ['singleton', 'plugin', 'action'].reduce(
+    (res, kind) => [...res, `${kind}-started`, `${kind}-failed`],
+    [],
+);
+
+/**
+ * @param {{name: string, kind: string, durationMs: number, error: Error}} payload
+ * @returns {{kind: string, name: string, startedAt: number, endedAt: number, durationMs: number, error: string}}
+ */
+const createEntry = ({kind, name, durationMs, error}) => {
+    const endedAt = Date.now(),
+        entry = {kind, name, startedAt: endedAt - durationMs, endedAt, durationMs};
+
+    if (error) entry.error = error.message;
+
+    return entry;
+};
+
+/**
+ * Subscribes to broker lifecycle events and records the latest start of every service
+ * with singletons, plugins and actions initialized on its behalf
+ * @param {Broker} broker
+ * @returns {Map<string, Object>} records by service name in start order
+ */
+exports.recordStartupProfile = broker => {
+    const records = new Map();
+
+    broker.on('service-starting', name => {
+        records.delete(name);
+        records.set(name, {service: name, startedAt: Date.now(), timeline: []});
+    });
+
+    ENTITY_EVENTS.forEach(event =>
+        broker.on(event, (name, payload) => {
+            const record = records.get(payload.service);
+
+            if (record && record.endedAt === undefined) record.timeline.push(createEntry(payload));
+        }),
+    );
+
+    ['service-started', 'service-failed'].forEach(event =>
+        broker.on(event, (name, {error}) => {
+            const record = records.get(name);
+
+            // measured by own clock, so timeline entries always fit between startedAt and endedAt
+            record.endedAt = Date.now();
+            record.durationMs = record.endedAt - record.startedAt;
+            if (error) record.error = error.message;
+        }),
+    );
+
+    return records;
+};
+
+/**
+ * @param {Broker} broker
+ * @param {string} kind
+ * @param {string} name
+ * @returns {Array<string>} described dependencies of entity
+ */
+const getEntityDependencies = (broker, kind, name) => {
+    const entity = broker[`${kind}s`][name];
+
+    if (!entity) return [];
+
+    const dependencies = entity.getRequiredSingletons().map(n => describeEntity('singleton', n));
+
+    if (kind !== 'action') return dependencies;
+
+    return [
+        ...dependencies,
+        ...entity.getRequiredPlugins().map(n => describeEntity('plugin', n)),
+        ...entity.getRequiredActions().map(n => describeEntity('action', n)),
+    ];
+};
+
+/**
+ * Finds the chain of dependent initializations with the longest total duration,
+ * dependencies initialized before the service start are not counted
+ * @param {Broker} broker
+ * @param {Array<Object>} timeline
+ * @returns {{durationMs: number, path: Array<Object>}}
+ */
+const getCriticalPath = (broker, timeline) => {
+    const entries = new Map(timeline.map(entry => [describeEntity(entry.kind, entry.name), entry])),
+        chains = new Map();
+
+    const getChain = key => {
+        if (!chains.has(key)) {
+            const entry = entries.get(key),
+                longest = maxBy(
+                    getEntityDependencies(broker, entry.kind, entry.name)
+                        .filter(dependency => entries.has(dependency))
+                        .map(getChain),
+                    'durationMs',
+                ) || {durationMs: 0, path: []};
+
+            chains.set(key, {
+                durationMs: longest.durationMs + entry.durationMs,
+                path: [...longest.path, {kind: entry.kind, name: entry.name, durationMs: entry.durationMs}],
+            });
+        }
+
+        return chains.get(key);
+    };
+
+    // entries which finished later go first to prefer longer chains of equal duration
+    return maxBy([...entries.keys()].reverse().map(getChain), 'durationMs') || {durationMs: 0, path: []};
+};
+
+/**
+ * Converts profile to Chrome trace event format, every service is a process
+ * and concurrent initializations are placed to separate threads
+ * @param {Array<Object>} services
+ * @returns {{traceEvents: Array<Object>, displayTimeUnit: string}}
+ */
+const toTraceEvents = services => {
+    const origin = Math.min(...services.map(s => s.startedAt)),
+        toMicroseconds = ms => (ms - origin) * 1000,
+        traceEvents = [];
+
+    services.forEach(({service, startedAt, endedAt = Date.now(), timeline}, i) => {
+        const pid = i + 1,
+            lanes = [];
+
+        traceEvents.push({
+            name: 'process_name',
+            ph: 'M',
+            pid,
+            tid: 0,
+            args: {name: describeEntity('service', service)},
+        });
+        traceEvents.push({
+            name: describeEntity('service', service),
+            cat: 'service',
+            ph: 'X',
+            ts: toMicroseconds(startedAt),
+            dur: (endedAt - startedAt) * 1000,
+            pid,
+            tid: 0,
+            args: {},
+        });
+
+        [...timeline]
+            .sort((a, b) => a.startedAt - b.startedAt)
+            .forEach(entry => {
+                let lane = lanes.findIndex(end => end <= entry.startedAt);
+
+                if (lane === -1) lane = lanes.push(entry.endedAt) - 1;
+                else lanes[lane] = entry.endedAt;
+
+                traceEvents.push({
+                    name: describeEntity(entry.kind, entry.name),
+                    cat: entry.kind,
+                    ph: 'X',
+                    ts: toMicroseconds(entry.startedAt),
+                    dur: entry.durationMs * 1000,
+                    pid,
+                    tid: lane + 1,
+                    args: entry.error ? {error: entry.error} : {},
+                });
+            });
+    });
+
+    return {traceEvents, displayTimeUnit: 'ms'};
+};
+
+/**
+ * Returns timeline of the latest start of every service with the critical path through its dependencies
+ * or the same data in Chrome trace event format
+ * @param {Broker} broker
+ * @param {Object} [options]
+ * @param {string} [options.format="json"] "json" or "trace"
+ * @returns {Object}
+ */
+exports.getStartupProfile = (broker, {format = 'json'} = {}) => {
+    if (!['json', 'trace'].includes(format)) throw new Error('Parameter "format" have to be "json" or "trace"');
+
+    const services = [...broker.startupProfile.values()].map(record => {
+        const {durationMs, path} = getCriticalPath(broker, record.timeline);
+
+        return {...record, timeline: [...record.timeline], criticalPath: path, criticalPathMs: durationMs};
+    });
+
+    return format === 'trace' ? toTraceEvents(services) : {services};
+};
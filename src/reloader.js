@@ -0,0 +1,188 @@
+'use strict';
+
+const {watchFile, unwatchFile} = require('fs');
+const {uniq, noop} = require('lodash');
+const {checkReferences, sortServices} = require('./graph');
+const {createEntity} = require('./loader');
+const {localActionName, isPositiveInteger, SERVICE_CREATED} = require('./utils');
+
+const DEFAULT_WATCH_INTERVAL = 500;
+const DEFAULT_WATCH_DELAY = 100;
+
+/**
+ * Returns services which dependency closure contains given entity
+ * @param {Broker} broker
+ * @param {string} type "singletons", "actions", "plugins" or "services"
+ * @param {string} name
+ * @returns {Array<string>}
+ */
+const getAffectedServices = (broker, type, name) => {
+    if (type === 'services') return [name];
+
+    return Object.keys(broker.services).filter(serviceName => {
+        const service = broker.services[serviceName];
+
+        if (!broker.isServiceLoaded(serviceName)) return false;
+
+        if (type === 'actions' && service.dependencies.localActions.includes(name)) return true;
+
+        return service.dependencies[type].includes(name);
+    });
+};
+
+/**
+ * Replaces local actions of service in broker actions
+ * @param {Broker} broker
+ * @param {string} name service name
+ * @param {Service} service
+ */
+const setLocalActions = (broker, name, service) => {
+    Object.keys(broker.actions)
+        .filter(a => a.startsWith(localActionName(name, '')))
+        .forEach(a => delete broker.actions[a]);
+
+    Object.entries(service.localActions).forEach(([a, action]) => {
+        broker.actions[localActionName(name, a)] = action;
+    });
+};
+
+/**
+ * Replaces entity and returns function which puts the old one back
+ * @param {Broker} broker
+ * @param {{type: string, name: string, path: string}} file
+ * @returns {function(): void}
+ */
+const replaceEntity = (broker, {type, name, path}) => {
+    const entity = broker[type][name],
+        cached = require.cache[path];
+
+    if (type !== 'services' && !entity.isInit())
+        throw new Error(`Cannot reload ${type} "${name}" because it is in use`);
+
+    const restore = () => {
+        require.cache[path] = cached;
+        broker[type][name] = entity;
+
+        if (type === 'services') setLocalActions(broker, name, entity);
+    };
+
+    delete require.cache[path];
+
+    try {
+        const replacement = createEntity(type, require(path));
+
+        if (type === 'services') {
+            replacement.state = SERVICE_CREATED;
+            setLocalActions(broker, name, replacement);
+        }
+
+        broker[type][name] = replacement;
+    } catch (error) {
+        restore();
+        throw error;
+    }
+
+    return restore;
+};
+
+/**
+ * Loads changed files again and restarts running services which dependency closure contains changed entities.
+ * If new files are invalid, old entities are restored and services are started again
+ * @param {Broker} broker
+ * @param {Array<string>} paths absolute paths of changed files, files not loaded by broker are ignored
+ * @returns {Promise<Array<string>>} restarted services
+ */
+exports.reloadFiles = async (broker, paths) => {
+    const files = uniq(paths)
+        .filter(path => broker.files[path])
+        .map(path => ({type: broker.files[path].type, name: broker.files[path].name, path}));
+
+    if (!files.length) return [];
+
+    const affected = uniq(
+            files.reduce((res, {type, name}) => [...res, ...getAffectedServices(broker, type, name)], []),
+        ),
+        running = sortServices(
+            broker.services,
+            affected.filter(s => broker.isServiceRunning(s)),
+        ).filter(s => affected.includes(s));
+
+    for (const name of [...running].reverse()) {
+        await broker.stopService(name);
+    }
+
+    const restores = [];
+
+    try {
+        files.forEach(file => restores.push(replaceEntity(broker, file)));
+
+        checkReferences(broker);
+        sortServices(broker.services, Object.keys(broker.services));
+        affected.forEach(name => {
+            broker.services[name].state = SERVICE_CREATED;
+            broker.loadService(name);
+        });
+    } catch (error) {
+        restores.reverse().forEach(restore => restore());
+        affected.forEach(name => {
+            broker.services[name].state = SERVICE_CREATED;
+        });
+        await Promise.all(running.map(name => broker.startService(name)));
+        throw error;
+    }
+
+    await Promise.all(running.map(name => broker.startService(name)));
+
+    return running;
+};
+
+/**
+ * Watches files loaded by broker and reloads them on change.
+ * Broker emits "files-reloaded" event with {files, services} payload or "files-reload-failed" with {files, error}
+ * @param {Broker} broker
+ * @param {number} [interval=500] milliseconds between files checks
+ * @param {number} [delay=100] milliseconds to wait for more changes before reload
+ * @returns {{close: function(): void}}
+ */
+exports.watch = (broker, {interval = DEFAULT_WATCH_INTERVAL, delay = DEFAULT_WATCH_DELAY} = {}) => {
+    if (!isPositiveInteger(interval)) throw new Error('Parameter "interval" have to be a positive integer');
+
+    if (!isPositiveInteger(delay)) throw new Error('Parameter "delay" have to be a positive integer');
+
+    const changed = new Set(),
+        paths = Object.keys(broker.files);
+
+    let timer,
+        reloading = Promise.resolve();
+
+    const reload = () => {
+        const files = [...changed];
+        changed.clear();
+
+        reloading = reloading
+            .then(() => broker.reloadFiles(files))
+            .then(
+                services => broker.emitLifecycleEvent('files-reloaded', 'files', {files, services}),
+                error => broker.emitLifecycleEvent('files-reload-failed', 'files', {files, error}),
+            )
+            // failed listener must not stop next reloads
+            .catch(noop);
+    };
+
+    const listeners = paths.map(path => (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs) return;
+
+        changed.add(path);
+        clearTimeout(timer);
+        timer = setTimeout(reload, delay);
+    });
+
+    paths.forEach((path, i) => watchFile(path, {interval}, listeners[i]));
+
+    return {
+        close() {
+            clearTimeout(timer);
+            paths.forEach((path, i) => unwatchFile(path, listeners[i]));
+        },
+    };
+};
@@ -0,0 +1,130 @@
+'use strict';
+
+const {isObject} = require('lodash');
+const {isStringArray, isPositiveInteger} = require('./utils');
+
+const DEFAULT_GRACE_PERIOD = 10000;
+const SIGNALS = ['SIGTERM', 'SIGINT'];
+
+/**
+ * Starts services and owns process lifecycle until they are stopped:
+ * on SIGTERM or SIGINT services are stopped in reverse start order, then the rest of dependencies are stopped.
+ * Process is forced to exit if it is still alive after grace period or on the second signal.
+ * Exit code is set to 1 if start or stop fails
+ * @param {Broker} broker
+ * @param {Array<string>} [services] services to start, all services are started if omitted
+ * @param {number} [gracePeriod=10000] milliseconds to wait for graceful shutdown
+ * @param {Object} [proc=process] process object, could be replaced in tests
+ * @param {Object} [logger=console] object with "error" method
+ * @returns {Promise<void>} resolves when services are stopped
+ */
+exports.run = (
+    broker,
+    {services, gracePeriod = DEFAULT_GRACE_PERIOD, process: proc = process, logger = console} = {},
+) => {
+    if (services !== undefined) {
+        if (!isStringArray(services)) throw new Error('Parameter "services" have to be an array of strings');
+
+        services.forEach(name => broker.getServiceByName(name));
+    }
+
+    if (!isPositiveInteger(gracePeriod)) throw new Error('Parameter "gracePeriod" have to be a positive integer');
+
+    if (!isObject(proc)) throw new Error('Parameter "process" have to be an object');
+
+    const startedServices = [],
+        onServiceStarted = name => startedServices.push(name),
+        onUnhandledRejection = reason => logger.error('Unhandled rejection', reason);
+
+    let finish, stopping, timer;
+
+    const done = new Promise(onDone => {
+        finish = onDone;
+    });
+
+    const fail = () => {
+        proc.exitCode = 1;
+    };
+
+    const stop = async () => {
+        for (const name of [...startedServices].reverse()) {
+            try {
+                await broker.stopService(name);
+            } catch (error) {
+                logger.error(`Failed to stop service "${name}"`, error);
+                fail();
+            }
+        }
+
+        try {
+            await broker.stopAll();
+        } catch (error) {
+            logger.error('Failed to stop dependencies', error);
+            fail();
+        }
+
+        try {
+            await broker.shutdownTracing();
+        } catch (error) {
+            logger.error('Failed to shutdown tracing', error);
+            fail();
+        }
+    };
+
+    const start = async () => {
+        const names = services || Object.keys(broker.services),
+            results = await Promise.allSettled(names.map(name => broker.startService(name))),
+            errors = results.filter(r => r.status === 'rejected').map(r => r.reason);
+
+        errors.forEach(error => logger.error('Failed to start service', error));
+
+        return !errors.length;
+    };
+
+    broker.on('service-started', onServiceStarted);
+
+    const starting = start();
+
+    const shutdown = signal => {
+        if (stopping) {
+            logger.error(`Received ${signal} during shutdown, exiting`);
+            proc.exit(1);
+            return stopping;
+        }
+
+        timer = setTimeout(() => {
+            logger.error(`Process did not exit in ${gracePeriod}ms after ${signal}, exiting`);
+            proc.exit(1);
+        }, gracePeriod);
+
+        // timer should not keep process alive if everything is stopped
+        if (timer.unref) timer.unref();
+
+        stopping = starting.then(stop).then(cleanup);
+
+        return stopping;
+    };
+
+    const signalHandlers = SIGNALS.map(signal => [signal, () => shutdown(signal)]);
+
+    function cleanup() {
+        // grace period covers hanging shutdown only
+        clearTimeout(timer);
+        signalHandlers.forEach(([signal, handler]) => proc.removeListener(signal, handler));
+        proc.removeListener('unhandledRejection', onUnhandledRejection);
+        broker.removeListener('service-started', onServiceStarted);
+        finish();
+    }
+
+    proc.on('unhandledRejection', onUnhandledRejection);
+    signalHandlers.forEach(([signal, handler]) => proc.on(signal, handler));
+
+    starting.then(started => {
+        if (started) return;
+
+        fail();
+        if (!stopping) shutdown('start failure');
+    });
+
+    return done;
+};
@@ -0,0 +1,233 @@
+'use strict';
+
+const {isEqual, isObject, isString, isFunction} = require('lodash');
+const {isStringArray} = require('./utils');
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+const NON_NEGATIVE_KEYWORDS = ['minLength', 'maxLength', 'minItems', 'maxItems'];
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isPlainValueObject = value => isObject(value) && !Array.isArray(value) && !isFunction(value);
+
+/**
+ * @param {string} type
+ * @param {*} value
+ * @returns {boolean}
+ */
+const matchesType = (type, value) => {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && !Number.isNaN(value);
+        case 'object':
+            return isPlainValueObject(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'null':
+            return value === null;
+        default:
+            return typeof value === type;
+    }
+};
+
+/**
+ * @param {*} pattern
+ * @returns {boolean}
+ */
+const isValidPattern = pattern => {
+    if (!isString(pattern)) return false;
+
+    try {
+        return Boolean(new RegExp(pattern));
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Throws if schema uses unsupported type or keyword has wrong value
+ * @param {Object} schema
+ * @param {string} path parameter path used in error message, e.g. "input"
+ * @throws
+ */
+const checkSchema = (schema, path) => {
+    const fail = (keyword, message) => {
+        const parameter = keyword ? `${path}.${keyword}` : path;
+
+        throw new Error(`Action parameter "${parameter}" have to be ${message}`);
+    };
+
+    if (!isPlainValueObject(schema)) fail('', 'a schema object');
+
+    const {type, properties, required, additionalProperties, items, pattern, anyOf} = schema;
+
+    if (type !== undefined && ![].concat(type).every(t => TYPES.includes(t))) fail('type', `one of: ${TYPES}`);
+
+    if (properties !== undefined) {
+        if (!isPlainValueObject(properties)) fail('properties', 'an object');
+
+        Object.entries(properties).forEach(([key, property]) => checkSchema(property, `${path}.properties.${key}`));
+    }
+
+    if (required !== undefined && !isStringArray(required)) fail('required', 'an array of strings');
+
+    if (additionalProperties !== undefined && typeof additionalProperties !== 'boolean')
+        checkSchema(additionalProperties, `${path}.additionalProperties`);
+
+    if (items !== undefined) checkSchema(items, `${path}.items`);
+
+    if (schema.enum !== undefined && !Array.isArray(schema.enum)) fail('enum', 'an array');
+
+    if (pattern !== undefined && !isValidPattern(pattern)) fail('pattern', 'a valid regular expression');
+
+    if (anyOf !== undefined) {
+        if (!Array.isArray(anyOf) || !anyOf.length) fail('anyOf', 'a non-empty array');
+
+        anyOf.forEach((s, i) => checkSchema(s, `${path}.anyOf[${i}]`));
+    }
+
+    NON_NEGATIVE_KEYWORDS.forEach(keyword => {
+        if (schema[keyword] !== undefined && !(Number.isInteger(schema[keyword]) && schema[keyword] >= 0))
+            fail(keyword, 'a non-negative integer');
+    });
+
+    ['minimum', 'maximum'].forEach(keyword => {
+        if (schema[keyword] !== undefined && typeof schema[keyword] !== 'number') fail(keyword, 'a number');
+    });
+};
+
+exports.checkSchema = checkSchema;
+
+/**
+ * Validates value against JSON-Schema-style schema, supported keywords are type, enum, properties, required,
+ * additionalProperties, items, minItems, maxItems, minLength, maxLength, pattern, minimum, maximum and anyOf
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} path path of value used in errors, e.g. "input"
+ * @returns {Array<{path: string, message: string}>}
+ */
+const validateValue = (schema, value, path) => {
+    const types = schema.type === undefined ? [] : [].concat(schema.type);
+
+    if (types.length && !types.some(type => matchesType(type, value)))
+        return [{path, message: `have to be ${types.join(' or ')}`}];
+
+    const errors = [],
+        fail = message => errors.push({path, message});
+
+    if (schema.enum && !schema.enum.some(item => isEqual(item, value)))
+        fail(`have to be one of: ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+
+    if (isString(value)) {
+        if (value.length < schema.minLength) fail(`have to be at least ${schema.minLength} characters long`);
+        if (value.length > schema.maxLength) fail(`have to be at most ${schema.maxLength} characters long`);
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value))
+            fail(`have to match pattern ${schema.pattern}`);
+    }
+
+    if (typeof value === 'number') {
+        if (value < schema.minimum) fail(`have to be greater than or equal to ${schema.minimum}`);
+        if (value > schema.maximum) fail(`have to be less than or equal to ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (value.length < schema.minItems) fail(`have to contain at least ${schema.minItems} item(s)`);
+        if (value.length > schema.maxItems) fail(`have to contain at most ${schema.maxItems} item(s)`);
+        if (schema.items)
+            value.forEach((item, i) => errors.push(...validateValue(schema.items, item, `${path}[${i}]`)));
+    }
+
+    if (isPlainValueObject(value)) {
+        const properties = schema.properties || {};
+
+        (schema.required || [])
+            .filter(key => value[key] === undefined)
+            .forEach(key => errors.push({path: `${path}.${key}`, message: 'is required'}));
+
+        Object.keys(value).forEach(key => {
+            if (value[key] === undefined) return;
+
+            if (properties[key]) errors.push(...validateValue(properties[key], value[key], `${path}.${key}`));
+            else if (schema.additionalProperties === false)
+                errors.push({path: `${path}.${key}`, message: 'is not allowed'});
+            else if (isObject(schema.additionalProperties))
+                errors.push(...validateValue(schema.additionalProperties, value[key], `${path}.${key}`));
+        });
+    }
+
+    if (schema.anyOf && !schema.anyOf.some(s => !validateValue(s, value, path).length))
+        fail('does not match any of "anyOf" schemas');
+
+    return errors;
+};
+
+exports.validateValue = validateValue;
+
+/**
+ * @param {string} name action name
+ * @param {string} kind "input" or "output"
+ * @param {Array<{path: string, message: string}>} errors
+ * @returns {Error} error with list of failed paths in "errors" property
+ */
+const createError = (name, kind, errors) => {
+    const list = errors.map(e => `"${e.path}" ${e.message}`).join(', '),
+        error = new Error(`Action "${name}" ${kind} is invalid: ${list}`);
+
+    error.errors = errors;
+
+    return error;
+};
+
+/**
+ * Wraps initialized action function with validation of arguments against "input" schema
+ * and of result, or resolved value if result is a promise, against "output" schema.
+ * Input is a schema of the first argument or an array of schemas of arguments.
+ * Invalid input of action with policies is rejected instead of thrown, as every call of such action returns
+ * promise, input of other actions is thrown however their functions are declared
+ * @param {Lifecycle} broker
+ * @param {string} name action name
+ * @param {function} fn initialized action function, wrapped with policies if action has them
+ * @returns {function}
+ */
+exports.applySchemas = (broker, name, fn) => {
+    const {input, output, policies} = broker.actions[name];
+
+    if (!broker.schemaValidation || (!input && !output)) return fn;
+
+    const hasPolicies = Object.keys(policies).length > 0;
+
+    const checkOutput = value => {
+        const errors = validateValue(output, value, 'output');
+
+        if (errors.length) throw createError(name, 'output', errors);
+
+        return value;
+    };
+
+    return (...args) => {
+        if (input) {
+            const errors = Array.isArray(input)
+                ? input.reduce((res, schema, i) => [...res, ...validateValue(schema, args[i], `input[${i}]`)], [])
+                : validateValue(input, args[0], 'input');
+
+            if (errors.length) {
+                const error = createError(name, 'input', errors);
+
+                if (hasPolicies) return Promise.reject(error);
+
+                throw error;
+            }
+        }
+
+        const result = fn(...args);
+
+        if (!output) return result;
+
+        return result && isFunction(result.then) ? result.then(checkOutput) : checkOutput(result);
+    };
+};
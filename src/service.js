@@ -1,11 +1,17 @@
 'use strict';
 
 const {isFunction, isObject, intersection} = require('lodash');
-const {isStringArray, loadFiles, DEFAULT_ACTION_TEMPLATE, DEFAULT_ACTION_TEMPLATE_REMOVE} = require('./utils');
+const {
+    isStringArray,
+    isPositiveInteger,
+    loadFiles,
+    DEFAULT_ACTION_TEMPLATE,
+    DEFAULT_ACTION_TEMPLATE_REMOVE,
+} = require('./utils');
 const Action = require('./action');
 
 class Service {
-    static validateConfig({start, stop, singletons, actions, localActions}) {
+    static validateConfig({start, stop, singletons, actions, services, localActions, startTimeout, stopTimeout}) {
         if (!isFunction(start)) throw new Error('Service parameter "start" have to be a function');
 
         if (stop && !isFunction(stop)) throw new Error('Service parameter "stop" have to be a function');
@@ -16,6 +22,15 @@ class Service {
         if (actions && !isStringArray(actions))
             throw new Error('Service parameter "actions" have to be an array of strings');
 
+        if (services && !isStringArray(services))
+            throw new Error('Service parameter "services" have to be an array of strings');
+
+        if (startTimeout !== undefined && !isPositiveInteger(startTimeout))
+            throw new Error('Service parameter "startTimeout" have to be a positive integer');
+
+        if (stopTimeout !== undefined && !isPositiveInteger(stopTimeout))
+            throw new Error('Service parameter "stopTimeout" have to be a positive integer');
+
         if (localActions) {
             if (!isObject(localActions)) throw new Error('Service parameter "localActions" have to be an object');
 
@@ -36,30 +51,50 @@ class Service {
      * @param {function} [stop]
      * @param {Array<string>} [singletons]
      * @param {Array<string>} [actions]
+     * @param {Array<string>} [services] services which have to be started before this one
      * @param {Object} [localActions] object containing service actions.
      * @param {string} [localActionsPath] path to look for local actions, scanning is recursive
      * @param {string} [localActionsTemplate=DEFAULT_ACTION_TEMPLATE] glob to load local actions
+     * @param {number} [startTimeout] milliseconds to wait for start handler, broker default is used if omitted
+     * @param {number} [stopTimeout] milliseconds to wait for stop handler, broker default is used if omitted
      */
     constructor({
         start,
         stop,
         singletons,
         actions,
+        services,
         localActions,
         localActionsPath,
         localActionsTemplate = DEFAULT_ACTION_TEMPLATE,
+        startTimeout,
+        stopTimeout,
     }) {
-        Service.validateConfig({start, stop, singletons, actions, localActions, localActionsPath});
+        Service.validateConfig({
+            start,
+            stop,
+            singletons,
+            actions,
+            services,
+            localActions,
+            startTimeout,
+            stopTimeout,
+        });
 
         this.dependencies = {
             singletons: [],
+            localActions: [],
             actions: [],
+            plugins: [],
         };
         this.actions = actions || [];
         this.singletons = singletons || [];
+        this.services = services || [];
         this.localActions = {};
         this.startHandler = start;
         this.stopHandler = stop;
+        this.startTimeout = startTimeout;
+        this.stopTimeout = stopTimeout;
         this.stateData = {};
 
         if (localActions)
@@ -108,6 +143,13 @@ class Service {
     getRequiredSingletons() {
         return [...this.singletons];
     }
+
+    /**
+     * @returns {Array<string>}
+     */
+    getRequiredServices() {
+        return [...this.services];
+    }
 }
 
 module.exports = Service;
@@ -1,16 +1,39 @@
 'use strict';
 
 const {isFunction} = require('lodash');
-const {isStringArray} = require('./utils');
+const {isStringArray, isPositiveInteger, getBackoffDelay, validateRetry, BACKOFF, RETRY_DEFAULTS} = require('./utils');
 
 class Singleton {
-    static validateConfig({singletons, start, stop}) {
+    static validateConfig({
+        singletons,
+        start,
+        stop,
+        startTimeout,
+        stopTimeout,
+        retry,
+        healthCheck,
+        healthCheckTimeout,
+    }) {
         if (!isFunction(start)) throw new Error('Singleton parameter "start" have to be a function');
 
         if (stop && !isFunction(stop)) throw new Error('Singleton parameter "stop" have to be a function');
 
         if (singletons && !isStringArray(singletons))
             throw new Error('Singleton parameter "singletons" have to be an array of strings');
+
+        if (startTimeout !== undefined && !isPositiveInteger(startTimeout))
+            throw new Error('Singleton parameter "startTimeout" have to be a positive integer');
+
+        if (stopTimeout !== undefined && !isPositiveInteger(stopTimeout))
+            throw new Error('Singleton parameter "stopTimeout" have to be a positive integer');
+
+        if (healthCheck && !isFunction(healthCheck))
+            throw new Error('Singleton parameter "healthCheck" have to be a function');
+
+        if (healthCheckTimeout !== undefined && !isPositiveInteger(healthCheckTimeout))
+            throw new Error('Singleton parameter "healthCheckTimeout" have to be a positive integer');
+
+        if (retry !== undefined) validateRetry(retry, 'Singleton', 'retry');
     }
 
     static STATE = {
@@ -20,18 +43,44 @@ class Singleton {
         unloading: 'unloading',
     };
 
+    static BACKOFF = BACKOFF;
+
     /**
      * @param {function} start
      * @param {function} [stop]
      * @param {Array<string>} [singletons]
+     * @param {number} [startTimeout] milliseconds to wait for start, broker default is used if omitted
+     * @param {number} [stopTimeout] milliseconds to wait for stop, broker default is used if omitted
+     * @param {function} [healthCheck] checks started instance, it is unhealthy if check throws or returns false
+     * @param {number} [healthCheckTimeout] milliseconds to wait for health check, broker default is used if omitted
+     * @param {Object} [retry] start retry policy
+     * @param {number} [retry.attempts=1] max number of start attempts including the first one
+     * @param {string} [retry.backoff=exponential] "fixed" or "exponential" growth of delay between attempts
+     * @param {number} [retry.delay=100] milliseconds to wait before the second attempt
+     * @param {number} [retry.maxDelay] max milliseconds to wait between attempts
+     * @param {function(Error): boolean} [retry.retryable] returns true if start should be retried after the error
      */
-    constructor({singletons, start, stop}) {
-        Singleton.validateConfig({singletons, start, stop});
+    constructor({singletons, start, stop, startTimeout, stopTimeout, retry, healthCheck, healthCheckTimeout}) {
+        Singleton.validateConfig({
+            singletons,
+            start,
+            stop,
+            startTimeout,
+            stopTimeout,
+            retry,
+            healthCheck,
+            healthCheckTimeout,
+        });
 
         /** @type Array<string> */
         this.singletons = singletons || [];
         this.start = start;
         this.stop = stop;
+        this.startTimeout = startTimeout;
+        this.stopTimeout = stopTimeout;
+        this.healthCheck = healthCheck;
+        this.healthCheckTimeout = healthCheckTimeout;
+        this.retry = {...RETRY_DEFAULTS, ...retry};
         this.stateData = {};
         this.state = Singleton.STATE.initial;
     }
@@ -43,6 +92,23 @@ class Singleton {
         return [...this.singletons];
     }
 
+    /**
+     * @param {Error} error
+     * @param {number} attempt number of the failed attempt
+     * @returns {boolean}
+     */
+    shouldRetry(error, attempt) {
+        return attempt < this.retry.attempts && Boolean(this.retry.retryable(error));
+    }
+
+    /**
+     * @param {number} attempt number of the failed attempt
+     * @returns {number} milliseconds to wait before the next attempt
+     */
+    getRetryDelay(attempt) {
+        return getBackoffDelay(this.retry, attempt);
+    }
+
     /**
      * @returns {boolean}
      */
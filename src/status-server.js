@@ -0,0 +1,127 @@
+'use strict';
+
+const http = require('http');
+const {isObject, isString, mapValues, noop} = require('lodash');
+const {SERVICE_FAILED, SERVICE_RUNNING} = require('./utils');
+
+const DEFAULT_PATH = '/status';
+
+/**
+ * Collects states of services, singletons and plugins with health checks results of running services.
+ * Broker is ready if some services are running, none failed and all running ones are healthy
+ * @param {Broker} broker
+ * @returns {Promise<{ready: boolean, services: Object, singletons: Object, plugins: Object}>}
+ */
+const getStatus = async broker => {
+    const health = await broker.getHealth(),
+        states = Object.values(broker.services).map(s => s.state);
+
+    return {
+        ready: health.healthy && states.includes(SERVICE_RUNNING) && !states.includes(SERVICE_FAILED),
+        services: mapValues(broker.services, (service, name) => health.services[name] || {state: service.state}),
+        singletons: mapValues(broker.singletons, (s, name) => health.singletons[name] || {state: s.state}),
+        plugins: mapValues(broker.plugins, (p, name) => health.plugins[name] || {state: p.state}),
+    };
+};
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {number} statusCode
+ * @param {Object} body
+ */
+const send = (res, statusCode, body) => {
+    res.writeHead(statusCode, {'Content-Type': 'application/json'});
+    res.end(JSON.stringify(body));
+};
+
+/**
+ * Creates HTTP server reporting broker status:
+ * GET {path} responds with status and code 200 if broker is ready or 503 otherwise,
+ * GET {path}/live responds with code 200 while process is alive
+ * @param {Broker} broker
+ * @param {Object} options
+ * @param {number} options.port
+ * @param {string} [options.host]
+ * @param {string} [options.path="/status"]
+ * @returns {{start: function(): Promise<void>, stop: function(): Promise<void>, address: function(): Object}}
+ */
+exports.createStatusServer = (broker, options) => {
+    validateOptions(options);
+
+    const {port, host, path = DEFAULT_PATH} = options,
+        server = http.createServer((req, res) => {
+            const url = req.url.split('?')[0];
+
+            if (url !== path && url !== `${path}/live`) return send(res, 404, {error: 'Not found'});
+
+            if (req.method !== 'GET') return send(res, 405, {error: 'Method not allowed'});
+
+            if (url !== path) return send(res, 200, {alive: true});
+
+            return getStatus(broker).then(
+                status => send(res, status.ready ? 200 : 503, status),
+                error => send(res, 500, {error: error.message}),
+            );
+        });
+
+    let listening;
+
+    return {
+        /**
+         * Starts listening if it is not started yet
+         * @returns {Promise<void>}
+         */
+        start() {
+            if (!listening)
+                listening = new Promise((onResolve, onReject) => {
+                    server.once('error', onReject);
+                    server.listen(port, host, () => {
+                        server.removeListener('error', onReject);
+                        onResolve();
+                    });
+                }).catch(error => {
+                    listening = undefined;
+                    throw error;
+                });
+
+            return listening;
+        },
+
+        /**
+         * @returns {Promise<void>}
+         */
+        stop() {
+            if (!listening) return Promise.resolve();
+
+            const closing = listening.then(
+                () => new Promise((onResolve, onReject) => server.close(e => (e ? onReject(e) : onResolve()))),
+                noop,
+            );
+            listening = undefined;
+
+            return closing;
+        },
+
+        address() {
+            return server.address();
+        },
+    };
+};
+
+/**
+ * @param {Object} options
+ * @throws
+ */
+function validateOptions(options) {
+    if (!isObject(options)) throw new Error('Parameter "statusServer" have to be an object');
+
+    const {port, host, path} = options;
+
+    if (!Number.isInteger(port) || port < 0)
+        throw new Error('Parameter "statusServer.port" have to be a non-negative integer');
+
+    if (host !== undefined && !isString(host)) throw new Error('Parameter "statusServer.host" have to be a string');
+
+    if (path !== undefined && !(isString(path) && path.startsWith('/')))
+        throw new Error('Parameter "statusServer.path" have to be a string starting with "/"');
+}
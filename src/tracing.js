@@ -0,0 +1,164 @@
+'use strict';
+
+const {AsyncLocalStorage} = require('async_hooks');
+const {randomBytes} = require('crypto');
+const {isFunction, isObject} = require('lodash');
+const {isPositiveInteger, createRingBuffer} = require('./utils');
+
+const DEFAULT_BUFFER_SIZE = 1000;
+
+const NANOSECONDS_IN_MS = BigInt(1e6);
+
+const STATUS = {
+    ok: 'OK',
+    error: 'ERROR',
+};
+
+/**
+ * @param {boolean|Object} tracing
+ * @throws
+ */
+const validateTracing = tracing => {
+    if (typeof tracing === 'boolean') return;
+
+    if (!isObject(tracing)) throw new Error('Parameter "tracing" have to be a boolean or an object');
+
+    const {bufferSize, exporters} = tracing;
+
+    if (bufferSize !== undefined && !isPositiveInteger(bufferSize))
+        throw new Error('Parameter "tracing.bufferSize" have to be a positive integer');
+
+    if (exporters !== undefined && !(Array.isArray(exporters) && exporters.every(e => e && isFunction(e.export))))
+        throw new Error('Parameter "tracing.exporters" have to be an array of objects with "export" method');
+};
+
+/**
+ * Creates tracer which keeps finished spans in ring buffer and passes them to exporters
+ * @param {boolean|Object} tracing true or {bufferSize=1000, exporters=[]}, false disables tracing
+ * @throws
+ * @returns {{storage: AsyncLocalStorage, buffer: Object, exporters: Array<Object>}|undefined}
+ */
+exports.createTracer = tracing => {
+    validateTracing(tracing);
+
+    if (!tracing) return undefined;
+
+    const {bufferSize = DEFAULT_BUFFER_SIZE, exporters = []} = tracing === true ? {} : tracing;
+
+    return {storage: new AsyncLocalStorage(), buffer: createRingBuffer(bufferSize), exporters};
+};
+
+/**
+ * @param {number} bytes
+ * @returns {string}
+ */
+const createId = bytes => randomBytes(bytes).toString('hex');
+
+/**
+ * @param {Lifecycle} broker
+ * @param {Object} span
+ */
+const finishSpan = (broker, span) => {
+    const {buffer, exporters} = broker.tracer;
+
+    buffer.push(span);
+    exporters.forEach(exporter =>
+        Promise.resolve()
+            .then(() => exporter.export([span]))
+            .catch(error => broker.emitLifecycleEvent('span-export-failed', span.name, {error, span})),
+    );
+};
+
+/**
+ * Wraps action function, every call is recorded as span which is child of the span of calling action, if any.
+ * Span shape follows OpenTelemetry: {traceId, spanId, parentSpanId, name, kind, startTimeUnixNano, endTimeUnixNano,
+ * durationMs, status: {code, message}, attributes}, service on behalf of which action is called
+ * is in "agata.service" attribute, it is undefined for scripts
+ * @param {Lifecycle} broker
+ * @param {string} name action name
+ * @param {function} fn
+ * @returns {function}
+ */
+exports.applyTracing = (broker, name, fn) => {
+    if (!broker.tracer) return fn;
+
+    const {storage} = broker.tracer;
+
+    return (...args) => {
+        const parent = storage.getStore(),
+            service = broker.ownerContext.get('service'),
+            startedAt = BigInt(Date.now()) * NANOSECONDS_IN_MS,
+            start = process.hrtime.bigint();
+
+        const span = {
+            traceId: parent ? parent.traceId : createId(16),
+            spanId: createId(8),
+            parentSpanId: parent && parent.spanId,
+            name,
+            kind: 'INTERNAL',
+            attributes: {'agata.action': name, 'agata.service': service},
+        };
+
+        const end = error => {
+            const duration = process.hrtime.bigint() - start;
+
+            finishSpan(broker, {
+                ...span,
+                startTimeUnixNano: String(startedAt),
+                endTimeUnixNano: String(startedAt + duration),
+                durationMs: Number(duration) / 1e6,
+                status: error ? {code: STATUS.error, message: error.message} : {code: STATUS.ok},
+            });
+        };
+
+        let result;
+
+        try {
+            result = storage.run(span, () => fn(...args));
+        } catch (error) {
+            end(error);
+            throw error;
+        }
+
+        if (!result || !isFunction(result.then)) {
+            end();
+            return result;
+        }
+
+        return result.then(
+            value => {
+                end();
+                return value;
+            },
+            error => {
+                end(error);
+                throw error;
+            },
+        );
+    };
+};
+
+/**
+ * @param {Lifecycle} broker
+ * @param {Object} [options]
+ * @param {string} [options.traceId] return spans of one trace only
+ * @returns {Array<Object>} finished spans from the oldest one, empty if tracing is disabled
+ */
+exports.getSpans = (broker, {traceId} = {}) => {
+    if (!broker.tracer) return [];
+
+    const spans = broker.tracer.buffer.toArray();
+
+    return traceId === undefined ? spans : spans.filter(span => span.traceId === traceId);
+};
+
+/**
+ * Calls "shutdown" method of every exporter which has it
+ * @param {Lifecycle} broker
+ * @returns {Promise<void>}
+ */
+exports.shutdownTracing = async broker => {
+    if (!broker.tracer) return;
+
+    await Promise.all(broker.tracer.exporters.filter(e => isFunction(e.shutdown)).map(e => e.shutdown()));
+};
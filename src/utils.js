@@ -1,7 +1,7 @@
 'use strict';
 
 const {sep: SEPARATOR, isAbsolute, resolve, join} = require('path');
-const {isString, camelCase} = require('lodash');
+const {isString, isFunction, isObject, camelCase, upperFirst} = require('lodash');
 const glob = require('glob');
 
 exports.DEFAULT_ACTION_TEMPLATE = '**/*.action.js';
@@ -16,10 +16,19 @@ exports.DEFAULT_SERVICE_TEMPLATE_REMOVE = new RegExp(`${SEPARATOR}index.js$`, 'i
 exports.DEFAULT_PLUGIN_TEMPLATE = '**/*.plugin.js';
 exports.DEFAULT_PLUGIN_TEMPLATE_REMOVE = /\.plugin.js$/i;
 
+exports.DEFAULT_HEALTH_CHECK_TIMEOUT = 5000;
+
 exports.SERVICE_CREATED = 'created';
 exports.SERVICE_LOADED = 'loaded';
 exports.SERVICE_RUNNING = 'running';
 exports.SERVICE_STOPPED = 'stopped';
+exports.SERVICE_FAILED = 'failed';
+
+exports.ENTITY_KINDS = ['service', 'singleton', 'action', 'plugin'];
+
+exports.localActionName = (service, action) => `${service}#${action}`;
+
+exports.isPositiveInteger = value => Number.isInteger(value) && value > 0;
 
 exports.isStringArray = value => {
     if (!Array.isArray(value)) return false;
@@ -32,7 +41,7 @@ exports.isStringArray = value => {
  * @param {string} path
  * @param {string} template
  * @param {string|RegExp} remove
- * @returns {Array<Object>}
+ * @returns {Array<Array>} list of [name, exports, absolute file path]
  */
 exports.loadFiles = ({path, template, remove}) => {
     if (!isString(path)) throw new Error('Parameter "path" have to be a string');
@@ -43,13 +52,224 @@ exports.loadFiles = ({path, template, remove}) => {
         paths = glob.sync(template, {cwd: absolutePath, nodir: true});
 
     return paths.map(p => {
-        const i = require(join(absolutePath, p)),
+        const file = join(absolutePath, p),
+            i = require(file),
             name = toCamelCase(p.replace(remove, '').replace(/\.js$/i, ''));
 
-        return [name, i];
+        return [name, i, file];
     });
 };
 
 function toCamelCase(path) {
     return String(path).split(SEPARATOR).map(camelCase).join('.');
 }
+
+exports.BACKOFF = {
+    fixed: 'fixed',
+    exponential: 'exponential',
+};
+
+exports.RETRY_DEFAULTS = Object.freeze({
+    attempts: 1,
+    backoff: exports.BACKOFF.exponential,
+    delay: 100,
+    maxDelay: Infinity,
+    retryable: () => true,
+});
+
+/**
+ * Validates retry policy of singleton start or action call
+ * @param {Object} retry
+ * @param {string} kind "Singleton" or "Action"
+ * @param {string} parameter name of retry parameter, e.g. "retry" or "policies.retry"
+ * @throws
+ */
+exports.validateRetry = (retry, kind, parameter) => {
+    if (!isObject(retry)) throw new Error(`${kind} parameter "${parameter}" have to be an object`);
+
+    const {attempts, backoff, delay, maxDelay, retryable} = retry,
+        backoffs = Object.values(exports.BACKOFF);
+
+    if (attempts !== undefined && !exports.isPositiveInteger(attempts))
+        throw new Error(`${kind} parameter "${parameter}.attempts" have to be a positive integer`);
+
+    if (backoff !== undefined && !backoffs.includes(backoff))
+        throw new Error(`${kind} parameter "${parameter}.backoff" have to be one of: ${backoffs}`);
+
+    if (delay !== undefined && !(Number.isInteger(delay) && delay >= 0))
+        throw new Error(`${kind} parameter "${parameter}.delay" have to be a non-negative integer`);
+
+    if (maxDelay !== undefined && !exports.isPositiveInteger(maxDelay))
+        throw new Error(`${kind} parameter "${parameter}.maxDelay" have to be a positive integer`);
+
+    if (retryable !== undefined && !isFunction(retryable))
+        throw new Error(`${kind} parameter "${parameter}.retryable" have to be a function`);
+};
+
+/**
+ * @param {Object} retry
+ * @param {string} retry.backoff "fixed" or "exponential"
+ * @param {number} retry.delay milliseconds to wait after the first attempt
+ * @param {number} retry.maxDelay
+ * @param {number} attempt number of the failed attempt
+ * @returns {number} milliseconds to wait before the next attempt
+ */
+exports.getBackoffDelay = (retry, attempt) => {
+    const {backoff, delay, maxDelay} = retry;
+
+    return Math.min(backoff === exports.BACKOFF.fixed ? delay : delay * 2 ** (attempt - 1), maxDelay);
+};
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+exports.sleep = ms => new Promise(onResolve => setTimeout(onResolve, ms));
+
+/**
+ * Error of entity handler which did not finish in time
+ */
+class TimeoutError extends Error {
+    /**
+     * @param {string} message
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'TimeoutError';
+    }
+}
+
+exports.TimeoutError = TimeoutError;
+
+/**
+ * @param {string} message
+ * @param {Array<Error>} errors
+ * @returns {Error} the only error or error listing all of them in message and in "errors" property
+ */
+exports.aggregateErrors = (message, errors) => {
+    if (errors.length === 1) return errors[0];
+
+    const list = errors.map(e => `  - ${e.message}`).join('\n'),
+        error = new Error(`${message}, ${errors.length} errors:\n${list}`);
+
+    error.errors = errors;
+
+    return error;
+};
+
+/**
+ * Calls function and rejects if returned value is not settled in time
+ * @param {function} fn
+ * @param {number} [timeout] time limit in milliseconds, no limit if omitted
+ * @param {function(): Error} createError creates error to reject with on timeout
+ * @returns {Promise<*>}
+ */
+exports.callWithTimeout = (fn, timeout, createError) => {
+    const promise = Promise.resolve().then(fn);
+
+    if (!timeout) return promise;
+
+    let timer;
+    const timeoutPromise = new Promise((onResolve, onReject) => {
+        timer = setTimeout(() => onReject(createError()), timeout);
+    });
+
+    return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * @param {string} kind
+ * @param {string} name
+ * @returns {string} entity description to use in dependency paths
+ */
+exports.describeEntity = (kind, name) => `${kind} "${name}"`;
+
+/**
+ * @param {Broker} broker
+ * @param {string} kind "service", "singleton", "action" or "plugin"
+ * @param {string} name
+ * @throws if broker has no such entity
+ */
+exports.checkEntity = (broker, kind, name) => {
+    if (!exports.ENTITY_KINDS.includes(kind))
+        throw new Error(`Parameter "kind" have to be one of "${exports.ENTITY_KINDS.join('", "')}"`);
+
+    if (!broker[`${kind}s`][name]) throw new Error(`Unknown ${kind} "${name}"`);
+};
+
+/**
+ * @param {Array<string>} path dependency path
+ * @returns {string|undefined} name of service which dependency path starts from
+ */
+exports.getPathService = path => {
+    const match = /^service "(.+)"$/.exec(path[0] || '');
+
+    return match ? match[1] : undefined;
+};
+
+/**
+ * Calls entity handler and rejects with error describing dependency path if it takes too long
+ * @param {function} fn
+ * @param {number} [timeout]
+ * @param {Array<string>} path dependency path, the last item is the entity itself
+ * @param {string} operation
+ * @returns {Promise<*>}
+ */
+exports.callHandler = ({fn, timeout, path, operation}) =>
+    exports.callWithTimeout(fn, timeout, () => {
+        const entity = path[path.length - 1];
+
+        return new TimeoutError(
+            `${upperFirst(entity)} did not ${operation} in ${timeout}ms, dependency path: ${path.join(' -> ')}`,
+        );
+    });
+
+/**
+ * Creates function which runs async tasks with limited concurrency
+ * @param {number} [concurrency=Infinity]
+ * @returns {function(function): Promise}
+ */
+exports.createLimiter = (concurrency = Infinity) => {
+    const queue = [];
+    let active = 0;
+
+    const next = () => {
+        if (active >= concurrency || !queue.length) return;
+
+        const {task, onResolve, onReject} = queue.shift();
+        active++;
+        Promise.resolve()
+            .then(task)
+            .then(onResolve, onReject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+
+    return task =>
+        new Promise((onResolve, onReject) => {
+            queue.push({task, onResolve, onReject});
+            next();
+        });
+};
+
+/**
+ * Keeps the latest "size" items, the oldest item is overwritten when buffer is full
+ * @param {number} size
+ * @returns {{push: function(*), toArray: function(): Array}}
+ */
+exports.createRingBuffer = size => {
+    const items = [];
+    let next = 0;
+
+    return {
+        push(item) {
+            items[next] = item;
+            next = (next + 1) % size;
+        },
+        toArray() {
+            return [...items.slice(next), ...items.slice(0, next)];
+        },
+    };
+};
@@ -0,0 +1,132 @@
+'use strict';
+
+const {difference, uniq, upperFirst} = require('lodash');
+const {findUnknownReferences, findCycles} = require('./graph');
+const {localActionName} = require('./utils');
+
+/**
+ * Aggregated error of broker graph validation
+ */
+class ValidationError extends Error {
+    /**
+     * @param {Array<{type: string, message: string}>} errors
+     */
+    constructor(errors) {
+        const list = errors.map(e => `  - ${e.message}`).join('\n');
+
+        super(`Found ${errors.length} broker configuration error(s):\n${list}`);
+        this.name = 'ValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Returns names reachable from roots including roots, unknown names are skipped
+ * @param {Object} entities
+ * @param {Array<string>} roots
+ * @param {function(Object): Array<string>} getEdges
+ * @returns {Array<string>}
+ */
+const getClosure = (entities, roots, getEdges) => {
+    const visited = new Set();
+
+    const visit = name => {
+        if (visited.has(name) || !entities[name]) return;
+
+        visited.add(name);
+        getEdges(entities[name]).forEach(visit);
+    };
+
+    roots.forEach(visit);
+
+    return [...visited];
+};
+
+/**
+ * @param {Broker} broker
+ * @returns {Array<Object>}
+ */
+const findCircularDependencies = broker => {
+    const graphs = [
+        ['singleton', broker.singletons, s => s.getRequiredSingletons()],
+        ['action', broker.actions, a => a.getRequiredActions()],
+        ['service', broker.services, s => s.getRequiredServices()],
+    ];
+
+    return graphs.reduce(
+        (res, [kind, entities, getEdges]) => [
+            ...res,
+            ...findCycles(Object.keys(entities), name => getEdges(entities[name])).map(path => ({
+                type: 'circular-dependency',
+                message: `Found ${kind}s circular dependency: ${path.join(' -> ')}`,
+                kind,
+                path,
+            })),
+        ],
+        [],
+    );
+};
+
+/**
+ * Finds actions and plugins of every service which require singletons not included to the service
+ * @param {Broker} broker
+ * @returns {Array<Object>}
+ */
+const findMissingSingletons = broker => {
+    const {singletons, actions, plugins} = broker;
+
+    return Object.entries(broker.services).reduce((res, [service, srv]) => {
+        const available = getClosure(singletons, srv.getRequiredSingletons(), s => s.getRequiredSingletons()),
+            serviceActions = getClosure(
+                actions,
+                [...srv.getRequiredActions(), ...srv.getRequiredLocalActions().map(a => localActionName(service, a))],
+                a => a.getRequiredActions(),
+            ),
+            servicePlugins = uniq(serviceActions.reduce((all, a) => [...all, ...actions[a].getRequiredPlugins()], []));
+
+        const check = (kind, name, required) => {
+            const missing = difference(
+                    required.filter(s => singletons[s]),
+                    available,
+                ),
+                hint = kind === 'plugin' ? ' or do not use this plugin' : '';
+
+            if (missing.length)
+                res.push({
+                    type: 'missing-singleton',
+                    message:
+                        `${upperFirst(kind)} "${name}" in service "${service}" requires ` +
+                        `not included singleton(s): "${missing.join('", "')}". ` +
+                        `Please add them to service definition${hint}`,
+                    service,
+                    entity: {kind, name},
+                    singletons: missing,
+                });
+        };
+
+        serviceActions.forEach(name => check('action', name, actions[name].getRequiredSingletons()));
+        servicePlugins
+            .filter(name => plugins[name])
+            .forEach(name => check('plugin', name, plugins[name].getRequiredSingletons()));
+
+        return res;
+    }, []);
+};
+
+/**
+ * Collects every unknown reference, circular dependency and singleton not included to service
+ * which is required by its actions or plugins
+ * @param {Broker} broker
+ * @returns {ValidationError|undefined} aggregated error with list of errors in "errors" property
+ */
+exports.validate = broker => {
+    const errors = [
+        ...findUnknownReferences(broker),
+        ...findCircularDependencies(broker),
+        ...findMissingSingletons(broker),
+    ];
+
+    return errors.length ? new ValidationError(errors) : undefined;
+};
+
+exports.ValidationError = ValidationError;
@@ -14,6 +14,10 @@ describe('Action constructor', () => {
         expect(() => Action({fn() {}, singletons: 1})).toThrow();
         expect(() => Action({fn() {}, actions: 1})).toThrow();
         expect(() => Action({fn() {}, plugins: 1})).toThrow();
+        expect(() => Action({fn() {}, dispose: 1})).toThrow();
+        expect(() => Action({fn() {}, middleware: [1]})).toThrow(
+            'Action parameter "middleware" have to be an array of functions',
+        );
     });
 
     test('Constructor should create Actions with valid parameters', () => {
@@ -21,6 +25,8 @@ describe('Action constructor', () => {
         expect(() => Action({fn() {}, singletons: ['test']})).not.toThrow();
         expect(() => Action({fn() {}, actions: ['test']})).not.toThrow();
         expect(() => Action({fn() {}, plugins: {test: 1}})).not.toThrow();
+        expect(() => Action({fn() {}, dispose() {}})).not.toThrow();
+        expect(() => Action({fn() {}, middleware: [(ctx, next) => next()]})).not.toThrow();
         expect(() => Action({fn() {}, singletons: ['test'], actions: ['test'], plugins: {test: 1}})).not.toThrow();
     });
 });
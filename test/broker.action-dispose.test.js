@@ -0,0 +1,172 @@
+'use strict';
+
+const {Broker} = require('../index');
+
+describe('Action disposal', () => {
+    const createBroker = log => {
+        let connections = 0;
+
+        return Broker({
+            singletons: {
+                db: {
+                    start() {
+                        connections++;
+                        return {connection: connections};
+                    },
+                },
+                cache: {
+                    start() {},
+                },
+            },
+            actions: {
+                find: {
+                    singletons: ['db'],
+                    fn({singletons: {db}, state}) {
+                        state.connection = db.connection;
+                        return () => db.connection;
+                    },
+                    dispose({state}) {
+                        log.push(`dispose find ${state.connection}`);
+                    },
+                },
+                findAll: {
+                    actions: ['find'],
+                    fn({actions: {find}}) {
+                        return () => [find()];
+                    },
+                    dispose() {
+                        log.push('dispose findAll');
+                    },
+                },
+                ping: {
+                    fn() {
+                        return () => 'pong';
+                    },
+                },
+            },
+            services: {
+                api: {
+                    singletons: ['db'],
+                    actions: ['findAll', 'ping'],
+                    start({actions: {findAll}, state}) {
+                        state.findAll = findAll;
+                    },
+                },
+                worker: {
+                    singletons: ['cache'],
+                    actions: ['ping'],
+                    start() {},
+                },
+            },
+        });
+    };
+
+    it('should throw if dispose is not a function', () => {
+        expect(() => Broker({actions: {a: {fn() {}, dispose: 1}}})).toThrow('"dispose"');
+    });
+
+    it('should initialize actions again with new singletons after service restart', async () => {
+        const log = [],
+            broker = createBroker(log),
+            service = broker.getServiceByName('api');
+
+        await broker.startService('api');
+        expect(service.stateData.findAll()).toEqual([1]);
+
+        await broker.stopService('api');
+        expect(log).toEqual(['dispose findAll', 'dispose find 1']);
+        expect(broker.actions.find.initializedFn).toBe(undefined);
+        expect(broker.actions.findAll.initializedFn).toBe(undefined);
+
+        await broker.startService('api');
+        expect(service.stateData.findAll()).toEqual([2]);
+    });
+
+    it('should keep actions used by other running services', async () => {
+        const log = [],
+            broker = createBroker(log);
+
+        await broker.startService('api');
+        await broker.startService('worker');
+        const ping = broker.actions.ping.initializedFn;
+
+        await broker.stopService('api');
+        expect(broker.actions.ping.initializedFn).toBe(ping);
+        expect(log).toEqual(['dispose findAll', 'dispose find 1']);
+
+        await broker.stopService('worker');
+        expect(broker.actions.ping.initializedFn).toBe(undefined);
+    });
+
+    it('should dispose actions on stopAll', async () => {
+        const log = [],
+            broker = createBroker(log);
+
+        await broker.startService('api');
+        await broker.stopAll();
+        expect(log).toEqual(['dispose findAll', 'dispose find 1']);
+        expect(broker.actions.ping.initializedFn).toBe(undefined);
+    });
+
+    it('should dispose actions using stopped singleton', async () => {
+        const log = [],
+            broker = createBroker(log);
+
+        await broker.start({singletons: ['db'], actions: ['findAll']});
+        await broker.stopSingleton('db');
+        expect(log).toEqual(['dispose findAll', 'dispose find 1']);
+    });
+
+    it('should emit action dispose events', async () => {
+        const events = [],
+            broker = createBroker([]);
+        broker.on('action-disposing', name => events.push(`disposing ${name}`));
+        broker.on('action-disposed', name => events.push(`disposed ${name}`));
+
+        await broker.startService('worker');
+        await broker.stopService('worker');
+        expect(events).toEqual(['disposing ping', 'disposed ping']);
+    });
+
+    it('should continue teardown if dispose fails', async () => {
+        const errors = [];
+        let stops = 0;
+        const broker = Broker({
+            singletons: {
+                db: {start() {}},
+            },
+            actions: {
+                find: {
+                    singletons: ['db'],
+                    fn() {
+                        return () => {};
+                    },
+                    dispose() {
+                        throw new Error('Dispose failed');
+                    },
+                },
+            },
+            services: {
+                api: {
+                    actions: ['find'],
+                    singletons: ['db'],
+                    start() {},
+                    stop() {
+                        stops++;
+                    },
+                },
+            },
+        });
+        broker.on('action-disposed', (name, {error}) => errors.push(`${name} ${error.message}`));
+
+        await broker.startService('api');
+        await broker.stopService('api');
+        await broker.stopService('api');
+
+        expect(errors).toEqual(['find Dispose failed']);
+        expect(stops).toBe(1);
+        expect(broker.isServiceRunning('api')).toBe(false);
+        expect(broker.actions.find.isInit()).toBe(true);
+        expect(broker.singletons.db.isInit()).toBe(true);
+    });
+});
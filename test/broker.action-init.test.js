@@ -0,0 +1,89 @@
+'use strict';
+
+const {Broker} = require('../index');
+
+describe('Action initialization', () => {
+    const createBroker = log =>
+        Broker({
+            singletons: {
+                db: {
+                    async start() {
+                        await new Promise(resolve => setTimeout(resolve, 10));
+                        return {};
+                    },
+                },
+            },
+            actions: {
+                find: {
+                    singletons: ['db'],
+                    async fn() {
+                        log.push('init find');
+                        await new Promise(resolve => setTimeout(resolve, 10));
+                        return () => 'found';
+                    },
+                },
+                findAll: {
+                    actions: ['find'],
+                    fn({actions: {find}}) {
+                        log.push('init findAll');
+                        return () => [find()];
+                    },
+                },
+            },
+            services: {
+                api: {singletons: ['db'], actions: ['findAll'], start() {}},
+                worker: {singletons: ['db'], actions: ['find', 'findAll'], start() {}},
+                admin: {singletons: ['db'], actions: ['find'], start() {}},
+            },
+        });
+
+    it('should run action factory once for concurrently starting services', async () => {
+        const log = [],
+            broker = createBroker(log);
+
+        await Promise.all([broker.startService('api'), broker.startService('worker'), broker.startService('admin')]);
+        expect(log).toEqual(['init find', 'init findAll']);
+        expect(broker.actions.find.isLoaded()).toBe(true);
+        expect(broker.actions.findAll.isLoaded()).toBe(true);
+    });
+
+    it('should run action factory once again after restart', async () => {
+        const log = [],
+            broker = createBroker(log);
+
+        await Promise.all([broker.startService('api'), broker.startService('admin')]);
+        await broker.stopService('api');
+        await broker.stopService('admin');
+        expect(broker.actions.find.isInit()).toBe(true);
+
+        await Promise.all([broker.startService('api'), broker.startService('admin')]);
+        expect(log).toEqual(['init find', 'init findAll', 'init find', 'init findAll']);
+    });
+
+    it('should allow to initialize action again after its factory failed', async () => {
+        let attempt = 0;
+        const broker = Broker({
+            actions: {
+                flaky: {
+                    fn() {
+                        attempt++;
+                        if (attempt === 1) throw new Error('Not yet');
+                        return () => attempt;
+                    },
+                },
+            },
+            services: {
+                api: {actions: ['flaky'], start() {}},
+                worker: {actions: ['flaky'], start() {}},
+            },
+        });
+
+        const results = await Promise.allSettled([broker.startService('api'), broker.startService('worker')]);
+        expect(results.map(r => r.status)).toEqual(['rejected', 'rejected']);
+        expect(broker.actions.flaky.isInit()).toBe(true);
+
+        await broker.startService('api');
+        expect(attempt).toBe(2);
+        expect(broker.actions.flaky.isLoaded()).toBe(true);
+    });
+});
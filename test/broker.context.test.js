@@ -0,0 +1,123 @@
+'use strict';
+
+const {Broker} = require('../index');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Call context', () => {
+    it('should propagate context through nested and concurrent action calls', async () => {
+        const broker = Broker({
+                actions: {
+                    getOrder: {
+                        actions: ['getUser'],
+                        fn({actions: {getUser}, context}) {
+                            return async id => {
+                                await sleep(1);
+                                return {id, tenantId: context.get('tenantId'), user: await getUser()};
+                            };
+                        },
+                    },
+                    getUser: {
+                        fn({context}) {
+                            return () =>
+                                context.run({userId: 'u1'}, async () => {
+                                    await sleep(1);
+                                    return {...context.get()};
+                                });
+                        },
+                    },
+                },
+            }),
+            {
+                actions: {getOrder},
+            } = await broker.start({actions: ['getOrder']});
+
+        const [first, second] = await Promise.all([
+            broker.runInContext({requestId: 'r1', tenantId: 't1'}, () => getOrder(1)),
+            broker.runInContext({requestId: 'r2', tenantId: 't2'}, () => getOrder(2)),
+        ]);
+
+        expect(first).toEqual({id: 1, tenantId: 't1', user: {requestId: 'r1', tenantId: 't1', userId: 'u1'}});
+        expect(second).toEqual({id: 2, tenantId: 't2', user: {requestId: 'r2', tenantId: 't2', userId: 'u1'}});
+        expect(await getOrder(3)).toEqual({id: 3, tenantId: undefined, user: {userId: 'u1'}});
+    });
+
+    it('should inherit outer context and keep it immutable', () => {
+        const broker = Broker({});
+
+        expect(broker.getContext()).toEqual({});
+
+        broker.runInContext({requestId: 'r1', tenantId: 't1'}, () => {
+            broker.runInContext({tenantId: 't2'}, () => {
+                expect(broker.getContext()).toEqual({requestId: 'r1', tenantId: 't2'});
+            });
+
+            expect(broker.getContext('tenantId')).toBe('t1');
+            expect(Object.isFrozen(broker.getContext())).toBe(true);
+        });
+    });
+
+    it('should pass context to middleware', async () => {
+        const log = [],
+            broker = Broker({
+                middleware: [
+                    (ctx, next) => {
+                        log.push(`${ctx.action} ${ctx.context.requestId} ${broker.getContext('requestId')}`);
+                        return next();
+                    },
+                ],
+                actions: {
+                    getOrder: {
+                        actions: ['getUser'],
+                        fn({actions: {getUser}}) {
+                            return () => getUser();
+                        },
+                    },
+                    getUser: {
+                        fn() {
+                            return () => 'user';
+                        },
+                    },
+                },
+            }),
+            {
+                actions: {getOrder},
+            } = await broker.start({actions: ['getOrder']});
+
+        await broker.runInContext({requestId: 'r1'}, () => getOrder(1));
+
+        expect(log).toEqual(['getOrder r1 r1', 'getUser r1 r1']);
+    });
+
+    it('should inject context to mocked action', async () => {
+        const broker = Broker({
+                actions: {
+                    getOrder: {
+                        actions: ['getUser'],
+                        fn({actions: {getUser}, context}) {
+                            return async id => ({id, tenantId: context.get('tenantId'), user: await getUser()});
+                        },
+                    },
+                    getUser: {
+                        fn() {
+                            return () => 'user';
+                        },
+                    },
+                },
+            }),
+            getOrder = await broker.mockAction('getOrder', {actions: {getUser: () => 'user'}});
+
+        await expect(broker.runInContext({tenantId: 't1'}, () => getOrder(1))).resolves.toEqual({
+            id: 1,
+            tenantId: 't1',
+            user: 'user',
+        });
+    });
+
+    it('should validate parameters', () => {
+        const broker = Broker({});
+
+        expect(() => broker.runInContext('r1', () => {})).toThrow('Parameter "ctx" have to be an object');
+        expect(() => broker.runInContext({}, null)).toThrow('Parameter "fn" have to be a function');
+    });
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+const {Broker} = require('../index');
+
+describe('Broker#getDependents()', () => {
+    const fn = () => () => {};
+
+    const createBroker = () =>
+        Broker({
+            singletons: {
+                db: {start() {}},
+                repository: {singletons: ['db'], start() {}},
+                queue: {start() {}},
+            },
+            plugins: {
+                query: {singletons: ['db'], start() {}},
+            },
+            actions: {
+                find: {singletons: ['repository'], fn},
+                report: {plugins: {query: {}}, fn},
+                export: {actions: ['report'], fn},
+            },
+            services: {
+                api: {singletons: ['repository'], actions: ['find'], start() {}},
+                reports: {
+                    singletons: ['db'],
+                    localActions: {build: {actions: ['export'], fn}},
+                    start() {},
+                },
+                gateway: {services: ['api'], start() {}},
+                worker: {singletons: ['queue'], start() {}},
+            },
+        });
+
+    it('should return direct dependents', () => {
+        const broker = createBroker();
+
+        expect(broker.getDependents('singleton', 'db')).toEqual({
+            services: ['reports'],
+            singletons: ['repository'],
+            actions: [],
+            plugins: ['query'],
+        });
+        expect(broker.getDependents('service', 'api')).toEqual({
+            services: ['gateway'],
+            singletons: [],
+            actions: [],
+            plugins: [],
+        });
+    });
+
+    it('should return transitive dependents', () => {
+        const broker = createBroker(),
+            dependents = broker.getDependents('singleton', 'db', {transitive: true});
+
+        expect(dependents.services.sort()).toEqual(['api', 'gateway', 'reports']);
+        expect(dependents.singletons).toEqual(['repository']);
+        expect(dependents.actions.sort()).toEqual(['export', 'find', 'report', 'reports#build']);
+        expect(dependents.plugins).toEqual(['query']);
+        expect(broker.getDependents('plugin', 'query', {transitive: true})).toEqual({
+            services: ['reports'],
+            singletons: [],
+            actions: ['report', 'export', 'reports#build'],
+            plugins: [],
+        });
+    });
+
+    it('should throw on unknown entity', () => {
+        const broker = createBroker();
+
+        expect(() => broker.getDependents('singleton', 'unknown')).toThrow('Unknown singleton "unknown"');
+        expect(() => broker.getDependents('table', 'users')).toThrow(
+            'Parameter "kind" have to be one of "service", "singleton", "action", "plugin"',
+        );
+    });
+});
+
+describe('Broker#diffGraph()', () => {
+    const fn = () => () => {};
+
+    it('should return no differences for the same graph', () => {
+        const config = {singletons: {db: {start() {}}}, services: {api: {singletons: ['db'], start() {}}}};
+
+        expect(Broker(config).diffGraph(Broker(config))).toEqual({
+            added: [],
+            removed: [],
+            changed: [],
+            affectedServices: [],
+        });
+    });
+
+    it('should find added, removed and changed entities with affected services', () => {
+        const before = Broker({
+                singletons: {db: {start() {}}, cache: {start() {}}},
+                plugins: {query: {singletons: ['db'], start() {}}},
+                actions: {
+                    find: {plugins: {query: {table: 'users'}}, fn},
+                    count: {singletons: ['cache'], fn},
+                },
+                services: {
+                    api: {singletons: ['db'], actions: ['find'], start() {}},
+                    stats: {singletons: ['cache'], actions: ['count'], start() {}},
+                    worker: {start() {}},
+                },
+            }),
+            after = Broker({
+                singletons: {db: {start() {}}, queue: {start() {}}},
+                plugins: {query: {singletons: ['db'], start() {}}},
+                actions: {
+                    find: {plugins: {query: {table: 'orders'}}, fn},
+                },
+                services: {
+                    api: {singletons: ['db'], actions: ['find'], start() {}},
+                    worker: {singletons: ['queue'], start() {}},
+                },
+            });
+
+        expect(before.diffGraph(after)).toEqual({
+            added: ['singleton:queue'],
+            removed: ['service:stats', 'singleton:cache', 'action:count'],
+            changed: [
+                {id: 'service:worker', added: ['singleton:queue'], removed: [], params: []},
+                {id: 'action:find', added: [], removed: [], params: ['plugin:query']},
+            ],
+            affectedServices: ['api', 'stats', 'worker'],
+        });
+    });
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+const {Broker} = require('../index');
+
+describe('Lifecycle events', () => {
+    const createBroker = ({failing = {}} = {}) =>
+        Broker({
+            singletons: {
+                db: {
+                    start() {
+                        return 'db';
+                    },
+                },
+                repository: {
+                    singletons: ['db'],
+                    start() {
+                        if (failing.repository) throw new Error('Repository failed');
+                        return 'repository';
+                    },
+                },
+            },
+            plugins: {
+                query: {
+                    singletons: ['db'],
+                    start() {
+                        if (failing.plugin) throw new Error('Plugin failed');
+                        return () => 'query';
+                    },
+                },
+            },
+            actions: {
+                find: {
+                    singletons: ['repository'],
+                    plugins: {query: {}},
+                    fn() {
+                        if (failing.action) throw new Error('Action failed');
+                        return () => 'found';
+                    },
+                },
+            },
+            services: {
+                api: {
+                    singletons: ['repository'],
+                    actions: ['find'],
+                    start() {},
+                },
+            },
+        });
+
+    const record = (broker, events) => {
+        const log = [];
+        events.forEach(event => broker.on(event, (name, payload) => log.push({event, name, payload})));
+        return log;
+    };
+
+    it('should pass entity name as the first argument and payload as the second one', async () => {
+        const broker = createBroker(),
+            log = record(broker, ['singleton-starting', 'singleton-started', 'action-started', 'service-started']);
+
+        await broker.startService('api');
+
+        expect(log.map(({event, name}) => `${event} ${name}`)).toEqual([
+            'singleton-starting db',
+            'singleton-started db',
+            'singleton-starting repository',
+            'singleton-started repository',
+            'action-started find',
+            'service-started api',
+        ]);
+        expect(log[0].payload).toEqual({kind: 'singleton', name: 'db', service: 'api'});
+        expect(log[1].payload).toEqual({kind: 'singleton', name: 'db', service: 'api', durationMs: expect.any(Number)});
+        expect(log[4].payload).toMatchObject({kind: 'action', name: 'find', service: 'api'});
+        expect(log[5].payload).toMatchObject({kind: 'service', name: 'api', service: 'api'});
+        expect(log[5].payload.durationMs).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should emit stop events with duration', async () => {
+        const broker = createBroker(),
+            log = record(broker, ['plugin-stopped', 'singleton-stopped', 'action-disposed', 'service-stopped']);
+
+        await broker.startService('api');
+        await broker.stopService('api');
+
+        expect(log.map(({event, name}) => `${event} ${name}`)).toEqual([
+            'service-stopped api',
+            'action-disposed find',
+            'plugin-stopped query',
+            'singleton-stopped repository',
+            'singleton-stopped db',
+        ]);
+        log.forEach(({payload}) => expect(payload.durationMs).toBeGreaterThanOrEqual(0));
+        expect(log[3].payload.service).toBe('api');
+    });
+
+    it.each([
+        ['singleton', {name: 'repository', failing: {repository: true}, message: 'Repository failed'}],
+        ['plugin', {name: 'query', failing: {plugin: true}, message: 'Plugin failed'}],
+        ['action', {name: 'find', failing: {action: true}, message: 'Action failed'}],
+    ])('should emit "%s-failed" event', async (kind, {name, failing, message}) => {
+        const broker = createBroker({failing}),
+            log = record(broker, [`${kind}-failed`, 'service-failed']);
+
+        await expect(broker.startService('api')).rejects.toThrow(message);
+
+        expect(log.map(({event, payload}) => [event, payload.name, payload.service, payload.error.message])).toEqual([
+            [`${kind}-failed`, name, 'api', message],
+            ['service-failed', 'api', 'api', message],
+        ]);
+        expect(log[0].payload).toMatchObject({kind, durationMs: expect.any(Number)});
+    });
+
+    it('should not set service for dependencies started by script', async () => {
+        const broker = createBroker(),
+            log = record(broker, ['singleton-started']);
+
+        await broker.start({singletons: ['db']});
+
+        expect(log).toEqual([
+            {
+                event: 'singleton-started',
+                name: 'db',
+                payload: {kind: 'singleton', name: 'db', service: undefined, durationMs: expect.any(Number)},
+            },
+        ]);
+    });
+});
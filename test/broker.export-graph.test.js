@@ -0,0 +1,135 @@
+'use strict';
+
+const {Broker} = require('../index');
+
+describe('Broker#exportGraph()', () => {
+    const createBroker = () =>
+        Broker({
+            singletons: {
+                db: {start() {}},
+                repository: {singletons: ['db'], start() {}},
+            },
+            plugins: {
+                query: {
+                    singletons: ['db'],
+                    start() {
+                        return () => () => {};
+                    },
+                },
+            },
+            actions: {
+                find: {
+                    singletons: ['repository'],
+                    plugins: {query: {table: 'users'}},
+                    fn() {
+                        return () => {};
+                    },
+                },
+                notify: {
+                    fn() {
+                        return () => {};
+                    },
+                },
+            },
+            services: {
+                api: {
+                    singletons: ['repository'],
+                    actions: ['find'],
+                    localActions: {
+                        handle: {
+                            actions: ['find'],
+                            fn() {
+                                return () => {};
+                            },
+                        },
+                    },
+                    start() {},
+                },
+            },
+        });
+
+    it('should render the whole graph in DOT format', () => {
+        expect(createBroker().exportGraph()).toBe(
+            [
+                'digraph agata {',
+                '    rankdir=LR;',
+                '    "service:api" [label="api", shape=box3d];',
+                '    "singleton:db" [label="db", shape=cylinder];',
+                '    "singleton:repository" [label="repository", shape=cylinder];',
+                '    "action:find" [label="find", shape=box, style=rounded];',
+                '    "action:notify" [label="notify", shape=box, style=rounded];',
+                '    "action:api#handle" [label="api#handle", shape=box, style=rounded];',
+                '    "plugin:query" [label="query", shape=component];',
+                '    "service:api" -> "singleton:repository";',
+                '    "service:api" -> "action:find";',
+                '    "service:api" -> "action:api#handle";',
+                '    "singleton:repository" -> "singleton:db";',
+                '    "action:find" -> "singleton:repository";',
+                '    "action:find" -> "plugin:query" [label="{\\"table\\":\\"users\\"}"];',
+                '    "action:api#handle" -> "action:find";',
+                '    "plugin:query" -> "singleton:db";',
+                '}',
+                '',
+            ].join('\n'),
+        );
+    });
+
+    it('should render closure of root entity in Mermaid format', () => {
+        expect(createBroker().exportGraph({format: 'mermaid', root: 'action:find'})).toBe(
+            [
+                'graph LR',
+                '    n0("find")',
+                '    n1[("repository")]',
+                '    n2{{"query"}}',
+                '    n3[("db")]',
+                '    n0 --> n1',
+                '    n0 -->|"{#quot;table#quot;:#quot;users#quot;}"| n2',
+                '    n1 --> n3',
+                '    n2 --> n3',
+                '',
+            ].join('\n'),
+        );
+    });
+
+    it('should escape Mermaid labels', () => {
+        expect(createBroker().exportGraph({format: 'mermaid', root: 'service:api', depth: 1})).toBe(
+            [
+                'graph LR',
+                '    n0[["api"]]',
+                '    n1[("repository")]',
+                '    n2("find")',
+                '    n3("api#35;handle")',
+                '    n0 --> n1',
+                '    n0 --> n2',
+                '    n0 --> n3',
+                '',
+            ].join('\n'),
+        );
+    });
+
+    it('should limit closure depth', () => {
+        const broker = createBroker();
+
+        expect(broker.exportGraph({root: 'service:api', depth: 0})).toBe(
+            ['digraph agata {', '    rankdir=LR;', '    "service:api" [label="api", shape=box3d];', '}', ''].join('\n'),
+        );
+        expect(broker.exportGraph({root: 'service:api', depth: 1})).not.toContain('singleton:db');
+        expect(broker.exportGraph({root: 'service:api', depth: 2})).toContain(
+            '"singleton:repository" -> "singleton:db"',
+        );
+    });
+
+    it('should validate options', () => {
+        const broker = createBroker();
+
+        expect(() => broker.exportGraph({format: 'svg'})).toThrow('Parameter "format" have to be "dot" or "mermaid"');
+        expect(() => broker.exportGraph({root: 'service:api', depth: -1})).toThrow(
+            'Parameter "depth" have to be a non-negative integer',
+        );
+        expect(() => broker.exportGraph({depth: 1})).toThrow('Parameter "depth" could be used only with "root"');
+        expect(() => broker.exportGraph({root: 'api'})).toThrow(
+            'Entity reference "api" have to be "<service|singleton|action|plugin>:<name>"',
+        );
+        expect(() => broker.exportGraph({root: 'service:unknown'})).toThrow('Unknown service "unknown"');
+    });
+});
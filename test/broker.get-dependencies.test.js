@@ -13,6 +13,7 @@ describe('Broker#getDependencies()', () => {
         expect(broker.getDependencies()).toEqual({
             services: {
                 first: {
+                    services: [],
                     singletons: [],
                     actions: [],
                     localActions: [],
@@ -48,6 +49,7 @@ describe('Broker#getDependencies()', () => {
         expect(broker.getDependencies()).toEqual({
             services: {
                 service1: {
+                    services: [],
                     singletons: ['singleton1'],
                     actions: ['action1'],
                     localActions: [],
@@ -176,6 +178,7 @@ describe('Broker#getDependencies()', () => {
 
         const deps = broker.getDependencies();
         expect(deps.services.serviceB).toEqual({
+            services: [],
             singletons: ['redis', 'cache', 'postgres'],
             plugins: ['subscriber', 'publisher'],
             actions: ['some.doA', 'some.doB', 'some.doC', 'serviceB#localActionC', 'serviceB#localActionB'],
@@ -0,0 +1,183 @@
+'use strict';
+
+const {Broker} = require('../index');
+
+describe('Broker#getHealth()', () => {
+    it('should throw on invalid timeout', () => {
+        expect(() => Broker({healthCheckTimeout: 0})).toThrow(
+            'Parameter "healthCheckTimeout" have to be a positive integer',
+        );
+    });
+
+    it('should report healthy service', async () => {
+        const broker = Broker({
+            singletons: {
+                db: {
+                    start: () => ({connected: true}),
+                    healthCheck: ({instance, state}) => {
+                        expect(state).toEqual({});
+                        return {connections: instance.connected ? 1 : 0};
+                    },
+                },
+                cache: {
+                    start: () => ({}),
+                },
+            },
+            plugins: {
+                query: {
+                    singletons: ['db'],
+                    start: () => params => params,
+                    healthCheck: () => true,
+                },
+            },
+            actions: {
+                find: {
+                    singletons: ['db'],
+                    plugins: {query: {}},
+                    fn: () => () => {},
+                },
+            },
+            services: {
+                api: {singletons: ['db', 'cache'], actions: ['find'], start() {}},
+            },
+        });
+
+        await broker.startService('api');
+        const report = await broker.getHealth('api');
+
+        expect(report).toEqual({
+            healthy: true,
+            services: {api: {state: 'running', healthy: true}},
+            singletons: {
+                db: {state: 'loaded', healthy: true, durationMs: expect.any(Number), details: {connections: 1}},
+                cache: {state: 'loaded', healthy: true, durationMs: 0},
+            },
+            plugins: {
+                query: {state: 'loaded', healthy: true, durationMs: expect.any(Number)},
+            },
+        });
+    });
+
+    it('should report unhealthy dependencies', async () => {
+        const broker = Broker({
+            singletons: {
+                db: {
+                    start: () => ({connected: true}),
+                    healthCheck: () => {
+                        throw new Error('Connection lost');
+                    },
+                },
+                cache: {
+                    start: () => ({}),
+                },
+            },
+            plugins: {
+                query: {
+                    singletons: ['db'],
+                    start: () => params => params,
+                    healthCheck: () => false,
+                },
+            },
+            actions: {
+                find: {
+                    singletons: ['db'],
+                    plugins: {query: {}},
+                    fn: () => () => {},
+                },
+            },
+            services: {
+                api: {singletons: ['db', 'cache'], actions: ['find'], start() {}},
+            },
+        });
+
+        await broker.startService('api');
+        const report = await broker.getHealth('api');
+
+        expect(report.healthy).toBe(false);
+        expect(report.services.api).toEqual({state: 'running', healthy: false});
+        expect(report.singletons.db).toMatchObject({healthy: false, error: 'Connection lost'});
+        expect(report.singletons.cache).toMatchObject({healthy: true});
+        expect(report.plugins.query).toMatchObject({healthy: false, error: 'Plugin "query" health check failed'});
+    });
+
+    it('should report timed out health check', async () => {
+        const broker = Broker({
+            singletons: {
+                queue: {
+                    start: () => ({}),
+                    healthCheckTimeout: 10,
+                    healthCheck: () => new Promise(resolve => setTimeout(resolve, 100)),
+                },
+            },
+            services: {
+                worker: {singletons: ['queue'], start() {}},
+            },
+        });
+
+        await broker.startService('worker');
+        const report = await broker.getHealth('worker');
+
+        expect(report.healthy).toBe(false);
+        expect(report.singletons.queue).toMatchObject({
+            healthy: false,
+            error: 'Singleton "queue" did not pass health check in 10ms, dependency path: singleton "queue"',
+        });
+    });
+
+    it('should report not running service', async () => {
+        const broker = Broker({
+            singletons: {
+                queue: {
+                    start: () => ({}),
+                    healthCheckTimeout: 10,
+                    healthCheck: () => new Promise(resolve => setTimeout(resolve, 100)),
+                },
+            },
+            services: {
+                worker: {singletons: ['queue'], start() {}},
+            },
+        });
+        const report = await broker.getHealth('worker');
+
+        expect(report).toEqual({
+            healthy: false,
+            services: {worker: {state: 'loaded', healthy: false}},
+            singletons: {
+                queue: {state: 'initial', healthy: false, durationMs: 0, error: 'Singleton "queue" is not loaded'},
+            },
+            plugins: {},
+        });
+    });
+
+    it('should check all running services by default', async () => {
+        const broker = Broker({
+            healthCheckTimeout: 10,
+            singletons: {
+                db: {start: () => ({}), healthCheck: () => true},
+                cache: {start: () => ({})},
+                queue: {start: () => ({}), healthCheck: () => new Promise(resolve => setTimeout(resolve, 100))},
+            },
+            services: {
+                api: {singletons: ['db', 'cache'], start() {}},
+                worker: {singletons: ['queue'], start() {}},
+            },
+        });
+
+        expect(await broker.getHealth()).toEqual({healthy: true, services: {}, singletons: {}, plugins: {}});
+
+        await broker.startService('api');
+        await broker.startService('worker');
+        const report = await broker.getHealth();
+
+        expect(report.healthy).toBe(false);
+        expect(report.services).toEqual({
+            api: {state: 'running', healthy: true},
+            worker: {state: 'running', healthy: false},
+        });
+        expect(Object.keys(report.singletons).sort()).toEqual(['cache', 'db', 'queue']);
+    });
+
+    it('should throw on unknown service', async () => {
+        await expect(Broker({}).getHealth('unknown')).rejects.toThrow('Service with name "unknown" not found');
+    });
+});
@@ -0,0 +1,254 @@
+'use strict';
+
+const {Broker} = require('../index');
+
+describe('Action middleware', () => {
+    it('should wrap actions obtained by service with broker and action middleware', async () => {
+        const log = [],
+            broker = Broker({
+                middleware: [
+                    (ctx, next) => {
+                        log.push(`broker middleware ${ctx.action} ${ctx.service} ${ctx.args}`);
+                        return next();
+                    },
+                ],
+                singletons: {
+                    db: {
+                        start() {
+                            return {multiplier: 10};
+                        },
+                    },
+                },
+                actions: {
+                    multiply: {
+                        singletons: ['db'],
+                        middleware: [
+                            (ctx, next) => {
+                                log.push(`action middleware ${ctx.action}`);
+                                return next();
+                            },
+                        ],
+                        fn({singletons: {db}}) {
+                            return value => value * db.multiplier;
+                        },
+                    },
+                },
+                services: {
+                    api: {
+                        singletons: ['db'],
+                        actions: ['multiply'],
+                        localActions: {
+                            handle: {
+                                actions: ['multiply'],
+                                fn({actions: {multiply}}) {
+                                    return value => multiply(value) + 1;
+                                },
+                            },
+                        },
+                        start({actions: {multiply}, localActions: {handle}}) {
+                            log.push(`result ${multiply(2)}`);
+                            log.push(`result ${handle(3)}`);
+                        },
+                    },
+                },
+            });
+
+        await broker.startService('api');
+
+        expect(log).toEqual([
+            'broker middleware multiply api 2',
+            'action middleware multiply',
+            'result 20',
+            'broker middleware api#handle api 3',
+            'broker middleware multiply api 3',
+            'action middleware multiply',
+            'result 31',
+        ]);
+    });
+
+    it('should apply middleware in order and allow to change arguments and result', async () => {
+        const broker = Broker({
+                middleware: [
+                    (ctx, next) => next() * 2,
+                    (ctx, next) => {
+                        ctx.args = ctx.args.map(a => a + 1);
+                        return next();
+                    },
+                ],
+                singletons: {
+                    db: {
+                        start() {
+                            return {multiplier: 10};
+                        },
+                    },
+                },
+                actions: {
+                    multiply: {
+                        singletons: ['db'],
+                        fn({singletons: {db}}) {
+                            return value => value * db.multiplier;
+                        },
+                    },
+                },
+            }),
+            {
+                actions: {multiply},
+            } = await broker.start({singletons: ['db'], actions: ['multiply']});
+
+        // (2 + 1) * 10 * 2
+        expect(multiply(2)).toBe(60);
+    });
+
+    it('should support async middleware', async () => {
+        const log = [],
+            broker = Broker({
+                middleware: [
+                    async (ctx, next) => {
+                        const started = Date.now();
+                        try {
+                            return await next();
+                        } finally {
+                            log.push(`took ${Date.now() - started >= 0}`);
+                        }
+                    },
+                    (ctx, next) => {
+                        if (ctx.args[0] < 0) throw new Error('Negative value');
+                        return next();
+                    },
+                ],
+                singletons: {
+                    db: {
+                        start() {
+                            return {multiplier: 10};
+                        },
+                    },
+                },
+                actions: {
+                    multiply: {
+                        singletons: ['db'],
+                        middleware: [
+                            (ctx, next) => {
+                                log.push(`action middleware ${ctx.action}`);
+                                return next();
+                            },
+                        ],
+                        fn({singletons: {db}}) {
+                            return value => value * db.multiplier;
+                        },
+                    },
+                },
+            }),
+            multiply = await broker.mockAction('multiply');
+
+        await expect(multiply(3)).resolves.toBe(30);
+        await expect(multiply(-1)).rejects.toThrow('Negative value');
+        expect(log).toEqual(['action middleware multiply', 'took true', 'took true']);
+    });
+
+    it('should apply middleware to mocked actions', async () => {
+        const log = [],
+            broker = Broker({
+                middleware: [
+                    (ctx, next) => {
+                        log.push(`broker middleware ${ctx.action}`);
+                        return next();
+                    },
+                ],
+                singletons: {db: {start() {}}},
+                actions: {
+                    multiply: {
+                        singletons: ['db'],
+                        middleware: [
+                            (ctx, next) => {
+                                log.push(`action middleware ${ctx.action}`);
+                                return next();
+                            },
+                        ],
+                        fn({singletons: {db}}) {
+                            return value => value * db.multiplier;
+                        },
+                    },
+                },
+            }),
+            multiply = await broker.mockAction('multiply', {singletons: {db: {multiplier: 3}}});
+
+        expect(multiply(2)).toBe(6);
+        expect(log).toEqual(['broker middleware multiply', 'action middleware multiply']);
+    });
+
+    it('should pass service on behalf of which shared actions are called', async () => {
+        const calls = [],
+            handlers = {},
+            broker = Broker({
+                middleware: [
+                    (ctx, next) => {
+                        calls.push(`${ctx.action} ${ctx.service}`);
+                        return next();
+                    },
+                ],
+                actions: {
+                    find: {
+                        actions: ['query'],
+                        fn({actions: {query}}) {
+                            return () => query();
+                        },
+                    },
+                    query: {
+                        fn() {
+                            return () => 'result';
+                        },
+                    },
+                },
+                services: {
+                    api: {
+                        actions: ['find'],
+                        start({actions: {find}}) {
+                            handlers.api = find;
+                        },
+                    },
+                    worker: {
+                        actions: ['find'],
+                        start({actions: {find}}) {
+                            handlers.worker = find;
+                        },
+                    },
+                },
+            });
+
+        await broker.startAll();
+        await new Promise(resolve => setTimeout(resolve, 1));
+        handlers.api();
+        handlers.worker();
+
+        const {
+            actions: {find},
+        } = await broker.start({actions: ['find']});
+        await broker.runInContext({}, () => handlers.api(find()));
+
+        expect(calls).toEqual([
+            'find api',
+            'query api',
+            'find worker',
+            'query worker',
+            'find undefined',
+            'query undefined',
+            'find api',
+            'query api',
+        ]);
+    });
+
+    it('should not wrap actions without middleware', async () => {
+        const fn = () => 1,
+            broker = Broker({actions: {one: {fn: () => fn}}}),
+            {
+                actions: {one},
+            } = await broker.start({actions: ['one']});
+
+        expect(one).toBe(fn);
+    });
+
+    it('should throw if middleware is invalid', () => {
+        expect(() => Broker({middleware: {}})).toThrow('Parameter "middleware" have to be an array of functions');
+        expect(() => Broker({middleware: [1]})).toThrow('Parameter "middleware" have to be an array of functions');
+    });
+});
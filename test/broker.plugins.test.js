@@ -160,3 +160,150 @@ describe('Plugins for actions', () => {
         await broker.startService('first');
     });
 });
+
+describe('Plugins lifecycle', () => {
+    const createBroker = log =>
+        Broker({
+            singletons: {
+                db: {
+                    start() {
+                        log.push('start db');
+                        return {connection: log.length};
+                    },
+                    stop() {
+                        log.push('stop db');
+                    },
+                },
+            },
+            plugins: {
+                query: {
+                    singletons: ['db'],
+                    start({singletons: {db}, state}) {
+                        log.push('start query');
+                        state.db = db;
+                        return params => ({params, db});
+                    },
+                    stop({state}) {
+                        log.push('stop query');
+                        expect(state.db).toBeDefined();
+                    },
+                },
+            },
+            actions: {
+                find: {
+                    singletons: ['db'],
+                    plugins: {query: {table: 'users'}},
+                    fn({plugins: {query}}) {
+                        return () => query;
+                    },
+                },
+            },
+            services: {
+                api: {singletons: ['db'], actions: ['find'], start() {}},
+                worker: {singletons: ['db'], actions: ['find'], start() {}},
+            },
+        });
+
+    it('should stop plugin before singletons it depends on', async () => {
+        const log = [],
+            broker = createBroker(log);
+
+        await broker.startService('api');
+        expect(broker.plugins.query.isLoaded()).toBe(true);
+
+        await broker.stopService('api');
+        expect(log).toEqual(['start db', 'start query', 'stop query', 'stop db']);
+        expect(broker.plugins.query.isInit()).toBe(true);
+        expect(broker.plugins.query.instance).toBe(undefined);
+    });
+
+    it('should not stop plugin used by other running service', async () => {
+        const log = [],
+            broker = createBroker(log);
+
+        await broker.startService('api');
+        await broker.startService('worker');
+        await broker.stopService('api');
+        expect(log).toEqual(['start db', 'start query']);
+
+        await broker.stopService('worker');
+        expect(log).toEqual(['start db', 'start query', 'stop query', 'stop db']);
+    });
+
+    it('should stop plugins on stopAll', async () => {
+        const log = [],
+            broker = createBroker(log);
+
+        await broker.startService('api');
+        await broker.startService('worker');
+        await broker.stopAll();
+        expect(log).toEqual(['start db', 'start query', 'stop query', 'stop db']);
+    });
+
+    it('should start new plugin instance after service restart', async () => {
+        const log = [],
+            broker = createBroker(log);
+
+        await broker.startService('api');
+        const first = broker.plugins.query.instance;
+        await broker.stopService('api');
+        await broker.startService('api');
+
+        expect(broker.plugins.query.instance).not.toBe(first);
+        expect(broker.plugins.query.instance({}).db).toBe(broker.singletons.db.instance);
+    });
+
+    it('should emit plugin events', async () => {
+        const events = [],
+            broker = createBroker([]);
+        ['plugin-starting', 'plugin-started', 'plugin-stopping', 'plugin-stopped'].forEach(event =>
+            broker.on(event, name => events.push(`${event} ${name}`)),
+        );
+
+        await broker.startService('api');
+        await broker.stopService('api');
+        expect(events).toEqual([
+            'plugin-starting query',
+            'plugin-started query',
+            'plugin-stopping query',
+            'plugin-stopped query',
+        ]);
+    });
+
+    it('should start plugin once for concurrently starting services', async () => {
+        const log = [],
+            broker = createBroker(log);
+
+        await Promise.all([broker.startService('api'), broker.startService('worker')]);
+        expect(log).toEqual(['start db', 'start query']);
+    });
+
+    it('should stop started plugins if service start fails', async () => {
+        const log = [],
+            broker = Broker({
+                plugins: {
+                    query: {
+                        start: () => () => {},
+                        stop() {
+                            log.push('stop query');
+                        },
+                    },
+                },
+                actions: {
+                    find: {
+                        plugins: {query: {}},
+                        fn() {
+                            throw new Error('Action failed');
+                        },
+                    },
+                },
+                services: {
+                    api: {actions: ['find'], start() {}},
+                },
+            });
+
+        await expect(broker.startService('api')).rejects.toThrow('Action failed');
+        expect(log).toEqual(['stop query']);
+        expect(broker.plugins.query.isInit()).toBe(true);
+    });
+});
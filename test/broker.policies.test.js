@@ -0,0 +1,302 @@
+'use strict';
+
+const {Broker, Action} = require('../index');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Action policies', () => {
+    it('should validate policies', () => {
+        const fn = () => () => {};
+
+        expect(() => Action({fn, policies: 1})).toThrow('Action parameter "policies" have to be an object');
+        expect(() => Action({fn, policies: {timeout: 0}})).toThrow(
+            'Action parameter "policies.timeout" have to be a positive integer',
+        );
+        expect(() => Action({fn, policies: {retry: {attempts: 0}}})).toThrow(
+            'Action parameter "policies.retry.attempts" have to be a positive integer',
+        );
+        expect(() => Action({fn, policies: {retry: {backoff: 'linear'}}})).toThrow(
+            'Action parameter "policies.retry.backoff" have to be one of: fixed,exponential',
+        );
+        expect(() => Action({fn, policies: {circuitBreaker: {resetTimeout: -1}}})).toThrow(
+            'Action parameter "policies.circuitBreaker.resetTimeout" have to be a positive integer',
+        );
+        expect(() => Action({fn, policies: {timeout: 10, retry: {}, circuitBreaker: {}}})).not.toThrow();
+    });
+
+    it('should reject call which takes too long', async () => {
+        const fetch = await Broker({
+            actions: {
+                fetch: {
+                    policies: {timeout: 10},
+                    fn() {
+                        return () => sleep(50);
+                    },
+                },
+            },
+        }).mockAction('fetch');
+
+        await expect(fetch()).rejects.toThrow('Action "fetch" did not finish in 10ms');
+    });
+
+    it('should retry failed calls with backoff', async () => {
+        let calls = 0;
+        const retrying = [],
+            broker = Broker({
+                actions: {
+                    fetch: {
+                        policies: {retry: {attempts: 3, delay: 1, retryable: error => error.message !== 'Fatal'}},
+                        fn() {
+                            return value => {
+                                calls++;
+                                if (value === 'fatal') throw new Error('Fatal');
+                                if (calls < 3) throw new Error(`Failed ${calls}`);
+                                return value;
+                            };
+                        },
+                    },
+                },
+            }),
+            fetch = await broker.mockAction('fetch');
+
+        broker.on('action-retrying', (name, {attempt, error, delay}) =>
+            retrying.push([name, attempt, error.message, delay]),
+        );
+
+        await expect(fetch('ok')).resolves.toBe('ok');
+        expect(retrying).toEqual([
+            ['fetch', 1, 'Failed 1', 1],
+            ['fetch', 2, 'Failed 2', 2],
+        ]);
+
+        await expect(fetch('fatal')).rejects.toThrow('Fatal');
+        expect(calls).toBe(4);
+    });
+
+    it('should retry attempts which timed out', async () => {
+        let calls = 0;
+        const fetch = await Broker({
+            actions: {
+                fetch: {
+                    policies: {timeout: 10, retry: {attempts: 2, delay: 0}},
+                    fn() {
+                        return () => {
+                            calls++;
+                            return calls === 1 ? sleep(50) : 'done';
+                        };
+                    },
+                },
+            },
+        }).mockAction('fetch');
+
+        await expect(fetch()).resolves.toBe('done');
+    });
+
+    it('should open circuit after failures and close it after successful probe', async () => {
+        let failing = true,
+            calls = 0;
+        const events = [],
+            broker = Broker({
+                actions: {
+                    fetch: {
+                        policies: {circuitBreaker: {failureThreshold: 2, resetTimeout: 20}},
+                        fn() {
+                            return () => {
+                                calls++;
+                                if (failing) throw new Error('Downstream failed');
+                                return 'ok';
+                            };
+                        },
+                    },
+                },
+            }),
+            fetch = await broker.mockAction('fetch');
+
+        ['open', 'half-open', 'closed'].forEach(state =>
+            broker.on(`action-circuit-${state}`, name => events.push(`${name} ${state}`)),
+        );
+
+        await expect(fetch()).rejects.toThrow('Downstream failed');
+        await expect(fetch()).rejects.toThrow('Downstream failed');
+        await expect(fetch()).rejects.toThrow('Circuit breaker of action "fetch" is open');
+        expect(calls).toBe(2);
+        expect(events).toEqual(['fetch open']);
+        expect(broker.getDependencies().actions.fetch.policies.circuitBreaker.state).toBe('open');
+
+        await sleep(30);
+        // failed probe opens circuit again
+        await expect(fetch()).rejects.toThrow('Downstream failed');
+        await expect(fetch()).rejects.toThrow('Circuit breaker of action "fetch" is open');
+
+        await sleep(30);
+        failing = false;
+        await expect(fetch()).resolves.toBe('ok');
+        await expect(fetch()).resolves.toBe('ok');
+        expect(calls).toBe(5);
+        expect(events).toEqual(['fetch open', 'fetch half-open', 'fetch open', 'fetch half-open', 'fetch closed']);
+        expect(broker.getDependencies().actions.fetch.policies.circuitBreaker.state).toBe('closed');
+    });
+
+    it('should let only allowed number of probes through half-open circuit', async () => {
+        let release;
+        const broker = Broker({
+                actions: {
+                    fetch: {
+                        policies: {circuitBreaker: {failureThreshold: 1, resetTimeout: 10}},
+                        fn() {
+                            return value => {
+                                if (value === 'fail') throw new Error('Failed');
+                                return new Promise(resolve => {
+                                    release = resolve;
+                                });
+                            };
+                        },
+                    },
+                },
+            }),
+            fetch = await broker.mockAction('fetch');
+
+        await expect(fetch('fail')).rejects.toThrow('Failed');
+        await sleep(20);
+
+        const probe = fetch('probe');
+        await expect(fetch('other')).rejects.toThrow('Circuit breaker of action "fetch" is open');
+        release('done');
+        await expect(probe).resolves.toBe('done');
+    });
+
+    it('should close half-open circuit only after all probes succeed', async () => {
+        const releases = [],
+            events = [],
+            broker = Broker({
+                actions: {
+                    fetch: {
+                        policies: {circuitBreaker: {failureThreshold: 1, resetTimeout: 10, halfOpenRequests: 2}},
+                        fn() {
+                            return value => {
+                                if (value === 'fail') throw new Error('Failed');
+                                return new Promise(resolve => releases.push(resolve));
+                            };
+                        },
+                    },
+                },
+            }),
+            fetch = await broker.mockAction('fetch');
+
+        broker.on('action-circuit-closed', name => events.push(`${name} closed`));
+        await expect(fetch('fail')).rejects.toThrow('Failed');
+        await sleep(20);
+
+        const probes = [fetch('first'), fetch('second')];
+        await expect(fetch('other')).rejects.toThrow('Circuit breaker of action "fetch" is open');
+
+        releases[0]('first');
+        await expect(probes[0]).resolves.toBe('first');
+        expect(events).toEqual([]);
+        expect(broker.getDependencies().actions.fetch.policies.circuitBreaker.state).toBe('half-open');
+
+        releases[1]('second');
+        await expect(probes[1]).resolves.toBe('second');
+        expect(events).toEqual(['fetch closed']);
+        expect(broker.getDependencies().actions.fetch.policies.circuitBreaker.state).toBe('closed');
+    });
+
+    it('should not change half-open circuit by calls started before it', async () => {
+        const pending = {},
+            events = [],
+            broker = Broker({
+                actions: {
+                    fetch: {
+                        policies: {circuitBreaker: {failureThreshold: 1, resetTimeout: 10}},
+                        fn() {
+                            return value => {
+                                if (value === 'fail') throw new Error('Failed');
+                                return new Promise((resolve, reject) => {
+                                    pending[value] = {resolve, reject};
+                                });
+                            };
+                        },
+                    },
+                },
+            }),
+            fetch = await broker.mockAction('fetch');
+
+        ['open', 'half-open', 'closed'].forEach(state =>
+            broker.on(`action-circuit-${state}`, name => events.push(`${name} ${state}`)),
+        );
+
+        const early = fetch('early');
+        await expect(fetch('fail')).rejects.toThrow('Failed');
+        await sleep(20);
+
+        const probe = fetch('probe');
+        await expect(fetch('other')).rejects.toThrow('Circuit breaker of action "fetch" is open');
+        pending.early.resolve('done');
+        await expect(early).resolves.toBe('done');
+        expect(broker.getDependencies().actions.fetch.policies.circuitBreaker.state).toBe('half-open');
+
+        pending.probe.reject(new Error('Probe failed'));
+        await expect(probe).rejects.toThrow('Probe failed');
+        expect(events).toEqual(['fetch open', 'fetch half-open', 'fetch open']);
+    });
+
+    it('should show policies in dependencies', async () => {
+        const broker = Broker({
+            actions: {
+                fetch: {
+                    policies: {timeout: 100, retry: {attempts: 2}, circuitBreaker: {}},
+                    fn() {
+                        return () => {};
+                    },
+                },
+            },
+        });
+
+        expect(broker.getDependencies().actions.fetch.policies).toEqual({
+            timeout: 100,
+            retry: {
+                attempts: 2,
+                backoff: 'exponential',
+                delay: 100,
+                maxDelay: Infinity,
+                retryable: expect.any(Function),
+            },
+            circuitBreaker: {failureThreshold: 5, resetTimeout: 10000, halfOpenRequests: 1, state: 'closed'},
+        });
+
+        const plain = Broker({actions: {fetch: {fn: () => () => {}}}});
+
+        expect(plain.getDependencies().actions.fetch).not.toHaveProperty('policies');
+    });
+
+    it('should apply policies inside middleware', async () => {
+        let calls = 0;
+        const log = [],
+            broker = Broker({
+                middleware: [
+                    async (ctx, next) => {
+                        log.push('before');
+                        const result = await next();
+                        log.push('after');
+                        return result;
+                    },
+                ],
+                actions: {
+                    fetch: {
+                        policies: {retry: {attempts: 2, delay: 0}},
+                        fn() {
+                            return () => {
+                                calls++;
+                                if (calls === 1) throw new Error('Failed');
+                                return 'ok';
+                            };
+                        },
+                    },
+                },
+            }),
+            fetch = await broker.mockAction('fetch');
+
+        await expect(fetch()).resolves.toBe('ok');
+        expect(log).toEqual(['before', 'after']);
+    });
+});
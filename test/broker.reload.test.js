@@ -0,0 +1,161 @@
+'use strict';
+
+const {mkdtempSync, mkdirSync, writeFileSync, rmdirSync} = require('fs');
+const {tmpdir} = require('os');
+const {join} = require('path');
+const {Broker} = require('../index');
+
+describe('Service restart and files reload', () => {
+    let dir;
+
+    // jest keeps its own modules registry instead of require.cache, so it is reset on every change
+    const write = (path, content) => {
+        writeFileSync(join(dir, path), `'use strict';\n${content}`);
+        jest.resetModules();
+    };
+
+    const createBroker = () => {
+        write('singletons/db.singleton.js', 'exports.start = () => ({version: 1});');
+        write('singletons/cache.singleton.js', 'exports.start = () => ({version: 1});');
+        write('actions/find.action.js', 'exports.singletons = ["db"];\nexports.fn = ({singletons: {db}}) => () => db;');
+        write(
+            'services/api/index.js',
+            'exports.singletons = ["db"];\nexports.actions = ["find"];\n' +
+                'exports.start = ({actions: {find}, state}) => { state.find = find; };',
+        );
+        write('services/worker/index.js', 'exports.singletons = ["cache"];\nexports.start = () => {};');
+
+        return Broker({
+            singletonsPath: join(dir, 'singletons'),
+            actionsPath: join(dir, 'actions'),
+            servicesPath: join(dir, 'services'),
+        });
+    };
+
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'agata-'));
+        ['singletons', 'actions', 'services', 'services/api', 'services/worker'].forEach(d => mkdirSync(join(dir, d)));
+    });
+
+    afterEach(() => {
+        rmdirSync(dir, {recursive: true});
+    });
+
+    it('should restart service', async () => {
+        const log = [],
+            broker = Broker({
+                services: {
+                    api: {
+                        start() {
+                            log.push('start');
+                        },
+                        stop() {
+                            log.push('stop');
+                        },
+                    },
+                },
+            });
+
+        await broker.startService('api');
+        await broker.restartService('api');
+        expect(log).toEqual(['start', 'stop', 'start']);
+        expect(broker.isServiceRunning('api')).toBe(true);
+    });
+
+    it('should reload changed singleton and restart only services depending on it', async () => {
+        const broker = createBroker(),
+            events = [];
+        broker.on('service-starting', name => events.push(`start ${name}`));
+        broker.on('service-stopping', name => events.push(`stop ${name}`));
+
+        await broker.startService('api');
+        await broker.startService('worker');
+        expect(broker.services.api.stateData.find()).toEqual({version: 1});
+
+        write('singletons/db.singleton.js', 'exports.start = () => ({version: 2});');
+        const restarted = await broker.reloadFiles([join(dir, 'singletons/db.singleton.js')]);
+
+        expect(restarted).toEqual(['api']);
+        expect(events).toEqual(['start api', 'start worker', 'stop api', 'start api']);
+        expect(broker.services.api.stateData.find()).toEqual({version: 2});
+    });
+
+    it('should reload service file with new dependencies', async () => {
+        const broker = createBroker();
+
+        await broker.startService('worker');
+        write('services/worker/index.js', 'exports.singletons = ["cache", "db"];\nexports.start = () => {};');
+        await broker.reloadFiles([join(dir, 'services/worker/index.js')]);
+
+        expect(broker.isServiceRunning('worker')).toBe(true);
+        expect(broker.singletons.db.isLoaded()).toBe(true);
+    });
+
+    it('should ignore files not loaded by broker', async () => {
+        const broker = createBroker();
+
+        expect(await broker.reloadFiles([join(dir, 'unknown.js')])).toEqual([]);
+    });
+
+    it('should restore old entities if changed files are invalid', async () => {
+        const broker = createBroker();
+
+        await broker.startService('api');
+        write('actions/find.action.js', 'exports.singletons = ["unknown"];\nexports.fn = () => () => {};');
+
+        await expect(broker.reloadFiles([join(dir, 'actions/find.action.js')])).rejects.toThrow(
+            'Action "find" requires unknown singleton "unknown"',
+        );
+        expect(broker.isServiceRunning('api')).toBe(true);
+        expect(broker.services.api.stateData.find()).toEqual({version: 1});
+    });
+
+    it('should watch loaded files and reload them on change', async () => {
+        const broker = createBroker();
+
+        await broker.startService('api');
+        const watcher = broker.watch({interval: 10, delay: 10});
+        const reloaded = new Promise(resolve => broker.once('files-reloaded', (name, payload) => resolve(payload)));
+
+        await new Promise(resolve => setTimeout(resolve, 50));
+        write('singletons/db.singleton.js', 'exports.start = () => ({version: 3});');
+
+        try {
+            expect(await reloaded).toMatchObject({
+                name: 'files',
+                files: [join(dir, 'singletons/db.singleton.js')],
+                services: ['api'],
+            });
+            expect(broker.services.api.stateData.find()).toEqual({version: 3});
+        } finally {
+            watcher.close();
+        }
+    });
+
+    it('should keep reloading files after failed listener', async () => {
+        const broker = createBroker(),
+            reloads = [];
+
+        await broker.startService('api');
+        const watcher = broker.watch({interval: 10, delay: 10});
+        const reloadedTwice = new Promise(resolve =>
+            broker.on('files-reloaded', () => {
+                reloads.push(broker.services.api.stateData.find());
+                if (reloads.length === 2) resolve();
+                throw new Error('Listener failed');
+            }),
+        );
+
+        await new Promise(resolve => setTimeout(resolve, 50));
+        write('singletons/db.singleton.js', 'exports.start = () => ({version: 2});');
+        await new Promise(resolve => setTimeout(resolve, 100));
+        write('singletons/db.singleton.js', 'exports.start = () => ({version: 3});');
+
+        try {
+            await reloadedTwice;
+            expect(reloads).toEqual([{version: 2}, {version: 3}]);
+        } finally {
+            watcher.close();
+        }
+    });
+});
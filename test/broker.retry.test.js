@@ -0,0 +1,126 @@
+'use strict';
+
+const {Broker} = require('../index');
+
+describe('Singleton start retry', () => {
+    it('should retry singleton start until it succeeds', async () => {
+        let attempts = 0;
+        const retrying = [];
+
+        const broker = Broker({
+            singletons: {
+                db: {
+                    retry: {attempts: 3, delay: 1},
+                    start() {
+                        attempts++;
+                        if (attempts < 3) throw new Error(`Connection refused ${attempts}`);
+                        return 'db';
+                    },
+                },
+            },
+            services: {
+                api: {
+                    singletons: ['db'],
+                    start({singletons: {db}}) {
+                        expect(db).toBe('db');
+                    },
+                },
+            },
+        });
+        broker.on('singleton-retrying', (name, {attempt, error, delay}) =>
+            retrying.push([name, attempt, error.message, delay]),
+        );
+
+        await broker.startService('api');
+        expect(attempts).toBe(3);
+        expect(retrying).toEqual([
+            ['db', 1, 'Connection refused 1', 1],
+            ['db', 2, 'Connection refused 2', 2],
+        ]);
+        expect(broker.singletons.db.isLoaded()).toBe(true);
+    });
+
+    it('should fail when attempts are over', async () => {
+        let attempts = 0;
+
+        const broker = Broker({
+            singletons: {
+                db: {
+                    retry: {attempts: 2, delay: 0},
+                    start() {
+                        attempts++;
+                        throw new Error('Connection refused');
+                    },
+                },
+            },
+            services: {
+                api: {singletons: ['db'], start() {}},
+            },
+        });
+
+        await expect(broker.startService('api')).rejects.toThrow('Connection refused');
+        expect(attempts).toBe(2);
+        expect(broker.singletons.db.isInit()).toBe(true);
+    });
+
+    it('should not retry not retryable errors', async () => {
+        let attempts = 0;
+
+        const broker = Broker({
+            singletons: {
+                db: {
+                    retry: {attempts: 5, delay: 0, retryable: e => e.message !== 'Wrong password'},
+                    start() {
+                        attempts++;
+                        throw new Error('Wrong password');
+                    },
+                },
+            },
+        });
+
+        await expect(broker.start({singletons: ['db']})).rejects.toThrow('Wrong password');
+        expect(attempts).toBe(1);
+    });
+
+    it('should retry timed out start', async () => {
+        let attempts = 0;
+
+        const broker = Broker({
+            singletons: {
+                db: {
+                    startTimeout: 10,
+                    retry: {attempts: 2, delay: 0},
+                    start() {
+                        attempts++;
+                        return attempts === 1 ? new Promise(() => {}) : 'db';
+                    },
+                },
+            },
+        });
+
+        expect(await broker.start({singletons: ['db']})).toEqual({singletons: {db: 'db'}, actions: {}, plugins: {}});
+    });
+
+    it('should emit starting and started events once', async () => {
+        let attempts = 0;
+        const events = [];
+
+        const broker = Broker({
+            singletons: {
+                db: {
+                    retry: {attempts: 2, delay: 0},
+                    start() {
+                        attempts++;
+                        if (attempts === 1) throw new Error('Connection refused');
+                    },
+                },
+            },
+        });
+        ['singleton-starting', 'singleton-retrying', 'singleton-started'].forEach(event =>
+            broker.on(event, name => events.push(`${event} ${name}`)),
+        );
+
+        await broker.start({singletons: ['db']});
+        expect(events).toEqual(['singleton-starting db', 'singleton-retrying db', 'singleton-started db']);
+    });
+});
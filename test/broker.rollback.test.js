@@ -0,0 +1,199 @@
+'use strict';
+
+const {Broker} = require('../index');
+
+describe('Rollback of failed service start', () => {
+    const createBroker = ({log, failing, startHandler}) =>
+        Broker({
+            singletons: {
+                db: {
+                    start() {
+                        log.push('start db');
+                        return 'db';
+                    },
+                    stop() {
+                        log.push('stop db');
+                    },
+                },
+                cache: {
+                    start() {
+                        log.push('start cache');
+                    },
+                    stop() {
+                        log.push('stop cache');
+                    },
+                },
+                repository: {
+                    singletons: ['db'],
+                    start() {
+                        log.push('start repository');
+                        if (failing.repository) throw new Error('Repository failed');
+                    },
+                    stop() {
+                        log.push('stop repository');
+                    },
+                },
+            },
+            services: {
+                api: {
+                    singletons: ['repository', 'cache'],
+                    localActions: {
+                        handle: {
+                            fn() {
+                                if (failing.action) throw new Error('Action failed');
+                                return () => {};
+                            },
+                        },
+                    },
+                    start: startHandler,
+                },
+                worker: {
+                    singletons: ['db'],
+                    start() {},
+                },
+            },
+        });
+
+    it('should stop started singletons in reverse order if singleton fails', async () => {
+        const log = [],
+            broker = createBroker({log, failing: {repository: true}, startHandler() {}});
+
+        await expect(broker.startService('api')).rejects.toThrow('Repository failed');
+        expect(log.slice(log.indexOf('start repository') + 1)).toEqual(['stop cache', 'stop db']);
+        expect(broker.singletons.db.isInit()).toBe(true);
+        expect(broker.singletons.cache.isInit()).toBe(true);
+        expect(broker.singletons.repository.isInit()).toBe(true);
+    });
+
+    it('should stop started singletons if local action fails', async () => {
+        const log = [],
+            broker = createBroker({log, failing: {action: true}, startHandler() {}});
+
+        await expect(broker.startService('api')).rejects.toThrow('Action failed');
+        expect(log.slice(3)).toEqual(['stop repository', 'stop cache', 'stop db']);
+    });
+
+    it('should stop started singletons if start handler fails', async () => {
+        const log = [],
+            broker = createBroker({
+                log,
+                failing: {},
+                startHandler() {
+                    throw new Error('Handler failed');
+                },
+            });
+
+        await expect(broker.startService('api')).rejects.toThrow('Handler failed');
+        expect(log.slice(3)).toEqual(['stop repository', 'stop cache', 'stop db']);
+    });
+
+    it('should not stop singletons used by other running services', async () => {
+        const log = [],
+            broker = createBroker({log, failing: {repository: true}, startHandler() {}});
+
+        await broker.startService('worker');
+        await expect(broker.startService('api')).rejects.toThrow('Repository failed');
+        expect(log).not.toContain('stop db');
+        expect(broker.singletons.db.isLoaded()).toBe(true);
+        expect(broker.isServiceRunning('worker')).toBe(true);
+    });
+
+    it('should set failed state and emit "service-failed" event', async () => {
+        const log = [],
+            failed = [],
+            broker = createBroker({log, failing: {repository: true}, startHandler() {}});
+
+        broker.on('service-failed', (name, {error}) => failed.push([name, error.message]));
+
+        await expect(broker.startService('api')).rejects.toThrow('Repository failed');
+        expect(broker.getServiceByName('api').state).toBe('failed');
+        expect(broker.isServiceRunning('api')).toBe(false);
+        expect(failed).toEqual([['api', 'Repository failed']]);
+    });
+
+    it('should set failed state if service dependencies cannot be loaded', async () => {
+        const failed = [],
+            broker = Broker({
+                singletons: {
+                    db: {start() {}},
+                },
+                actions: {
+                    find: {
+                        singletons: ['db'],
+                        fn() {
+                            return () => {};
+                        },
+                    },
+                },
+                services: {
+                    api: {actions: ['find'], start() {}},
+                },
+            });
+
+        broker.on('service-failed', name => failed.push(name));
+
+        await expect(broker.startService('api')).rejects.toThrow(/requires not included singleton/);
+        expect(broker.getServiceByName('api').state).toBe('failed');
+        expect(failed).toEqual(['api']);
+        expect(broker.getStartupProfile().services[0].endedAt).toEqual(expect.any(Number));
+
+        await expect(broker.startService('api')).rejects.toThrow(/requires not included singleton/);
+        expect(failed).toEqual(['api', 'api']);
+    });
+
+    it('should allow to start failed service again', async () => {
+        const log = [],
+            failing = {repository: true},
+            broker = createBroker({log, failing, startHandler() {}});
+
+        await expect(broker.startService('api')).rejects.toThrow('Repository failed');
+
+        failing.repository = false;
+        await broker.startService('api');
+        expect(broker.isServiceRunning('api')).toBe(true);
+        expect(broker.singletons.repository.isLoaded()).toBe(true);
+    });
+
+    it('should keep singletons used by concurrently starting service', async () => {
+        const log = [];
+        let failA;
+        const aFailed = new Promise(resolve => {
+                failA = resolve;
+            }),
+            broker = Broker({
+                singletons: {
+                    db: {
+                        start() {
+                            log.push('start db');
+                        },
+                        stop() {
+                            log.push('stop db');
+                        },
+                    },
+                    bad: {
+                        async start() {
+                            await aFailed;
+                            throw new Error('Bad failed');
+                        },
+                    },
+                },
+                services: {
+                    a: {singletons: ['db', 'bad'], start() {}},
+                    b: {
+                        singletons: ['db'],
+                        async start() {
+                            failA();
+                            await broker.getServiceByName('a').promise.catch(() => {});
+                        },
+                    },
+                },
+            });
+
+        const results = await Promise.allSettled([broker.startService('a'), broker.startService('b')]);
+
+        expect(results.map(r => r.status)).toEqual(['rejected', 'fulfilled']);
+        expect(log).toEqual(['start db']);
+        expect(broker.singletons.db.isLoaded()).toBe(true);
+        expect(broker.isServiceRunning('b')).toBe(true);
+    });
+});
@@ -0,0 +1,192 @@
+'use strict';
+
+const {EventEmitter} = require('events');
+const {Broker} = require('../index');
+
+describe('Broker#run()', () => {
+    const createProcess = () => {
+        const proc = new EventEmitter();
+        proc.exit = jest.fn();
+        return proc;
+    };
+
+    const createLogger = () => ({error: jest.fn()});
+
+    const createBroker = (log, started) =>
+        Broker({
+            singletons: {
+                db: {
+                    start() {
+                        log.push('start db');
+                    },
+                    stop() {
+                        log.push('stop db');
+                    },
+                },
+            },
+            services: {
+                migrations: {
+                    start() {
+                        log.push('start migrations');
+                    },
+                    stop() {
+                        log.push('stop migrations');
+                    },
+                },
+                api: {
+                    services: ['migrations'],
+                    singletons: ['db'],
+                    start() {
+                        log.push('start api');
+                        started();
+                    },
+                    stop() {
+                        log.push('stop api');
+                    },
+                },
+            },
+        });
+
+    it('should throw with invalid parameters', () => {
+        const broker = createBroker([]);
+
+        expect(() => broker.run({services: 'api'})).toThrow('Parameter "services" have to be an array of strings');
+        expect(() => broker.run({services: ['unknown']})).toThrow('Service with name "unknown" not found');
+        expect(() => broker.run({gracePeriod: 0})).toThrow('Parameter "gracePeriod" have to be a positive integer');
+        expect(() => broker.run({process: 1})).toThrow('Parameter "process" have to be an object');
+    });
+
+    it('should start services and stop them in reverse order on SIGTERM', async () => {
+        const log = [],
+            proc = createProcess();
+        let onStarted;
+        const started = new Promise(resolve => {
+                onStarted = resolve;
+            }),
+            broker = createBroker(log, () => onStarted());
+
+        const done = broker.run({services: ['api'], process: proc, logger: createLogger()});
+        await started;
+        proc.emit('SIGTERM');
+        await done;
+
+        expect(log).toEqual(['start migrations', 'start db', 'start api', 'stop api', 'stop db', 'stop migrations']);
+        expect(proc.exitCode).toBe(undefined);
+        expect(proc.exit).not.toHaveBeenCalled();
+        expect(proc.listenerCount('SIGTERM')).toBe(0);
+        expect(proc.listenerCount('SIGINT')).toBe(0);
+        expect(proc.listenerCount('unhandledRejection')).toBe(0);
+    });
+
+    it('should start all services if none specified and stop on SIGINT', async () => {
+        const log = [],
+            proc = createProcess();
+        let onStarted;
+        const started = new Promise(resolve => {
+                onStarted = resolve;
+            }),
+            broker = createBroker(log, () => onStarted());
+
+        const done = broker.run({process: proc, logger: createLogger()});
+        await started;
+        await new Promise(resolve => setImmediate(resolve));
+        expect(broker.getRunningServices()).toEqual(['migrations', 'api']);
+
+        proc.emit('SIGINT');
+        await done;
+        expect(broker.getRunningServices()).toEqual([]);
+    });
+
+    it('should set exit code and stop started services if start fails', async () => {
+        const log = [],
+            proc = createProcess(),
+            logger = createLogger(),
+            error = new Error('No connection'),
+            broker = createBroker(log, () => {
+                throw error;
+            });
+
+        await broker.run({process: proc, logger});
+
+        expect(log).toEqual(['start migrations', 'start db', 'start api', 'stop db', 'stop migrations']);
+        expect(proc.exitCode).toBe(1);
+        expect(logger.error).toHaveBeenCalledWith('Failed to start service', error);
+    });
+
+    it('should set exit code if stop fails', async () => {
+        const proc = createProcess(),
+            logger = createLogger(),
+            error = new Error('Stop failed'),
+            broker = Broker({
+                services: {
+                    api: {
+                        start() {},
+                        stop() {
+                            throw error;
+                        },
+                    },
+                },
+            });
+
+        const done = broker.run({process: proc, logger});
+        await new Promise(resolve => setImmediate(resolve));
+        proc.emit('SIGTERM');
+        await done;
+
+        expect(proc.exitCode).toBe(1);
+        expect(logger.error).toHaveBeenCalledWith('Failed to stop service "api"', error);
+    });
+
+    it('should force exit if services did not stop in grace period or on the second signal', async () => {
+        const proc = createProcess(),
+            logger = createLogger(),
+            broker = Broker({
+                services: {
+                    api: {
+                        start() {},
+                        stop: () => new Promise(resolve => setTimeout(resolve, 50)),
+                    },
+                },
+            });
+
+        const done = broker.run({process: proc, logger, gracePeriod: 10});
+        await new Promise(resolve => setImmediate(resolve));
+        proc.emit('SIGTERM');
+        await new Promise(resolve => setTimeout(resolve, 20));
+        expect(proc.exit).toHaveBeenCalledWith(1);
+
+        proc.emit('SIGINT');
+        expect(proc.exit).toHaveBeenCalledTimes(2);
+        expect(logger.error).toHaveBeenCalledWith('Received SIGINT during shutdown, exiting');
+        await done;
+    });
+
+    it('should not force exit after graceful shutdown', async () => {
+        const proc = createProcess(),
+            logger = createLogger(),
+            broker = Broker({services: {api: {start() {}}}});
+
+        const done = broker.run({process: proc, logger, gracePeriod: 10});
+        await new Promise(resolve => setImmediate(resolve));
+        proc.emit('SIGTERM');
+        await done;
+        await new Promise(resolve => setTimeout(resolve, 30));
+
+        expect(proc.exit).not.toHaveBeenCalled();
+        expect(proc.exitCode).toBeUndefined();
+    });
+
+    it('should log unhandled rejections', async () => {
+        const proc = createProcess(),
+            logger = createLogger(),
+            broker = Broker({services: {api: {start() {}}}}),
+            error = new Error('Oops');
+
+        const done = broker.run({process: proc, logger});
+        proc.emit('unhandledRejection', error);
+        expect(logger.error).toHaveBeenCalledWith('Unhandled rejection', error);
+
+        proc.emit('SIGTERM');
+        await done;
+    });
+});
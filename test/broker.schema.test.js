@@ -0,0 +1,228 @@
+'use strict';
+
+const {Broker, Action} = require('../index');
+
+describe('Action schemas', () => {
+    const input = {
+            type: 'object',
+            properties: {
+                email: {type: 'string', pattern: '@'},
+                age: {type: 'integer', minimum: 18},
+                tags: {type: 'array', items: {type: 'string'}, maxItems: 2},
+            },
+            required: ['email'],
+            additionalProperties: false,
+        },
+        output = {type: 'object', properties: {id: {type: 'string'}}, required: ['id']};
+
+    it('should validate schemas', () => {
+        const fn = () => () => {};
+
+        expect(() => Action({fn, input: 1})).toThrow('Action parameter "input" have to be a schema object');
+        expect(() => Action({fn, input: {type: 'date'}})).toThrow(
+            'Action parameter "input.type" have to be one of: string,number,integer,boolean,object,array,null',
+        );
+        expect(() => Action({fn, input: [{}, {properties: {a: {minLength: -1}}}]})).toThrow(
+            'Action parameter "input[1].properties.a.minLength" have to be a non-negative integer',
+        );
+        expect(() => Action({fn, output: {anyOf: []}})).toThrow(
+            'Action parameter "output.anyOf" have to be a non-empty array',
+        );
+        expect(() => Action({fn, input: {properties: {email: {pattern: '('}}}})).toThrow(
+            'Action parameter "input.properties.email.pattern" have to be a valid regular expression',
+        );
+        expect(() => Action({fn, input: {pattern: 1}})).toThrow(
+            'Action parameter "input.pattern" have to be a valid regular expression',
+        );
+        expect(() => Action({fn, input, output})).not.toThrow();
+        expect(() => Broker({schemaValidation: 'no'})).toThrow('Parameter "schemaValidation" have to be a boolean');
+    });
+
+    it('should reject invalid input naming every failed path', async () => {
+        const {
+            actions: {create},
+        } = await Broker({
+            actions: {
+                create: {
+                    input,
+                    fn() {
+                        return () => 'ok';
+                    },
+                },
+            },
+        }).start({actions: ['create']});
+
+        expect(create({email: 'a@b.c', age: 20, tags: ['x']})).toBe('ok');
+
+        let error;
+        try {
+            create({age: 16.5, tags: ['x', 1, 'y'], name: 'A'});
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error.message).toBe(
+            'Action "create" input is invalid: "input.email" is required, "input.age" have to be integer, ' +
+                '"input.tags" have to contain at most 2 item(s), "input.tags[1]" have to be string, ' +
+                '"input.name" is not allowed',
+        );
+        expect(error.errors).toEqual([
+            {path: 'input.email', message: 'is required'},
+            {path: 'input.age', message: 'have to be integer'},
+            {path: 'input.tags', message: 'have to contain at most 2 item(s)'},
+            {path: 'input.tags[1]', message: 'have to be string'},
+            {path: 'input.name', message: 'is not allowed'},
+        ]);
+        expect(() => create({email: 'none'})).toThrow('"input.email" have to match pattern @');
+    });
+
+    it('should validate every argument by position', async () => {
+        const {
+            actions: {create},
+        } = await Broker({
+            actions: {
+                create: {
+                    input: [{type: 'string'}, {type: ['number', 'null'], enum: [1, 2, null]}],
+                    fn() {
+                        return () => 'ok';
+                    },
+                },
+            },
+        }).start({actions: ['create']});
+
+        expect(create('a', null)).toBe('ok');
+        expect(() => create('a', 3)).toThrow(
+            'Action "create" input is invalid: "input[1]" have to be one of: 1, 2, null',
+        );
+        expect(() => create(1)).toThrow(
+            'Action "create" input is invalid: "input[0]" have to be string, "input[1]" have to be number or null',
+        );
+    });
+
+    it('should validate output and resolved value of promise', async () => {
+        const {
+            actions: {create, createAsync},
+        } = await Broker({
+            actions: {
+                create: {
+                    output,
+                    fn() {
+                        return ({id}) => ({id});
+                    },
+                },
+                createAsync: {
+                    output,
+                    fn() {
+                        return async ({id}) => ({id});
+                    },
+                },
+            },
+        }).start({actions: ['create', 'createAsync']});
+
+        expect(create({id: 'a'})).toEqual({id: 'a'});
+        expect(() => create({id: 1})).toThrow('Action "create" output is invalid: "output.id" have to be string');
+        await expect(createAsync({id: 'a'})).resolves.toEqual({id: 'a'});
+        await expect(createAsync({})).rejects.toThrow(
+            'Action "createAsync" output is invalid: "output.id" is required',
+        );
+    });
+
+    it('should not retry invalid calls', async () => {
+        const call = jest.fn(() => 'ok'),
+            broker = Broker({
+                actions: {
+                    create: {
+                        input: {type: 'string'},
+                        policies: {retry: {attempts: 3, delay: 1}},
+                        fn() {
+                            return call;
+                        },
+                    },
+                },
+            }),
+            {
+                actions: {create},
+            } = await broker.start({actions: ['create']});
+
+        await expect(create(1)).rejects.toThrow('"input" have to be string');
+        expect(call).not.toHaveBeenCalled();
+        await expect(create('a')).resolves.toBe('ok');
+    });
+
+    it('should throw invalid input of action without policies however it is declared', async () => {
+        const {
+            actions: {create},
+        } = await Broker({
+            actions: {
+                create: {
+                    input: {type: 'string'},
+                    fn() {
+                        return async value => value;
+                    },
+                },
+            },
+        }).start({actions: ['create']});
+
+        expect(() => create(1)).toThrow('Action "create" input is invalid: "input" have to be string');
+        await expect(create('a')).resolves.toBe('a');
+    });
+
+    it('should skip validation if it is disabled', async () => {
+        const {
+            actions: {create},
+        } = await Broker({
+            schemaValidation: false,
+            actions: {
+                create: {
+                    input,
+                    output,
+                    fn() {
+                        return () => 1;
+                    },
+                },
+            },
+        }).start({actions: ['create']});
+
+        expect(create({})).toBe(1);
+    });
+
+    it('should validate mocked actions', async () => {
+        const broker = Broker({
+                actions: {
+                    create: {
+                        input: {type: 'string'},
+                        fn() {
+                            return () => 'ok';
+                        },
+                    },
+                },
+            }),
+            mocked = await broker.mockAction('create', {});
+
+        expect(() => mocked(1)).toThrow('Action "create" input is invalid: "input" have to be string');
+    });
+
+    it('should show schemas in dependencies', () => {
+        const {
+            actions: {create},
+        } = Broker({
+            actions: {
+                create: {
+                    input,
+                    output,
+                    fn() {
+                        return () => 'ok';
+                    },
+                },
+            },
+        }).getDependencies();
+
+        expect(create.input).toEqual(input);
+        expect(create.input).not.toBe(input);
+        expect(create.output).toEqual(output);
+
+        const plain = Broker({actions: {create: {fn: () => () => 'ok'}}});
+
+        expect(plain.getDependencies().actions.create).not.toHaveProperty('input');
+    });
+});
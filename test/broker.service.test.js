@@ -265,3 +265,74 @@ describe('Services start and stop', () => {
         expect(state).toEqual({s1: 'stopped', s2: 'stopped', s3: 'stopped', s4: 'stopped'});
     });
 });
+
+describe('Singletons stop order', () => {
+    const createBroker = log =>
+        Broker({
+            singletons: {
+                db: {
+                    start() {
+                        log.push('start db');
+                    },
+                    stop() {
+                        log.push('stop db');
+                    },
+                },
+                repository: {
+                    singletons: ['db'],
+                    start() {
+                        log.push('start repository');
+                    },
+                    stop() {
+                        log.push('stop repository');
+                    },
+                },
+            },
+            plugins: {
+                query: {
+                    singletons: ['db'],
+                    start: () => params => params,
+                },
+            },
+            services: {
+                api: {
+                    singletons: ['db', 'repository'],
+                    start() {},
+                },
+            },
+        });
+
+    it('should stop singletons in reverse dependency order', async () => {
+        const log = [],
+            broker = createBroker(log);
+
+        await broker.startService('api');
+        await broker.stopService('api');
+        expect(log).toEqual(['start db', 'start repository', 'stop repository', 'stop db']);
+    });
+
+    it('should not stop singletons used by script', async () => {
+        const log = [],
+            broker = createBroker(log);
+
+        await broker.start({singletons: ['repository']});
+        await broker.startService('api');
+        await broker.stopService('api');
+        expect(log).toEqual(['start db', 'start repository']);
+        expect(broker.singletons.repository.isLoaded()).toBe(true);
+
+        await broker.stopAll();
+        expect(log).toEqual(['start db', 'start repository', 'stop repository', 'stop db']);
+    });
+
+    it('should not stop singletons used by plugin started by script', async () => {
+        const log = [],
+            broker = createBroker(log);
+
+        await broker.start({plugins: {query: {}}, singletons: ['db']});
+        await broker.startService('api');
+        await broker.stopService('api');
+        expect(log).toEqual(['start db', 'start repository', 'stop repository']);
+        expect(broker.plugins.query.isLoaded()).toBe(true);
+    });
+});
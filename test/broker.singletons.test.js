@@ -187,4 +187,138 @@ describe('Service singletons', () => {
 
         await broker.startService('first');
     });
+
+    test('Broker throws if "singletonsConcurrency" is invalid', () => {
+        expect(() => Broker({singletonsConcurrency: 0})).toThrow(/singletonsConcurrency/);
+        expect(() => Broker({singletonsConcurrency: 1.5})).toThrow(/singletonsConcurrency/);
+        expect(() => Broker({singletonsConcurrency: '2'})).toThrow(/singletonsConcurrency/);
+        expect(() => Broker({singletonsConcurrency: 2})).not.toThrow();
+    });
+
+    test('Start independent singletons concurrently', async () => {
+        const log = [],
+            delayed = name => ({
+                async start() {
+                    log.push(`${name} start`);
+                    await new Promise(resolve => setTimeout(resolve, 10));
+                    log.push(`${name} end`);
+                    return name;
+                },
+            });
+
+        const broker = Broker({
+            singletons: {
+                postgres: delayed('postgres'),
+                redis: delayed('redis'),
+                kafka: delayed('kafka'),
+            },
+            services: {
+                first: {
+                    singletons: ['postgres', 'redis', 'kafka'],
+                    start({singletons}) {
+                        expect(singletons).toEqual({postgres: 'postgres', redis: 'redis', kafka: 'kafka'});
+                    },
+                },
+            },
+        });
+
+        await broker.startService('first');
+        expect(log.slice(0, 3).sort()).toEqual(['kafka start', 'postgres start', 'redis start']);
+    });
+
+    test('Start singleton only after all its dependencies are loaded', async () => {
+        const log = [];
+
+        const broker = Broker({
+            singletons: {
+                db: {
+                    async start() {
+                        await new Promise(resolve => setTimeout(resolve, 20));
+                        log.push('db');
+                        return 'db';
+                    },
+                },
+                cache: {
+                    async start() {
+                        log.push('cache');
+                        return 'cache';
+                    },
+                },
+                repository: {
+                    singletons: ['db', 'cache'],
+                    start({singletons: {db, cache}}) {
+                        expect(db).toBe('db');
+                        expect(cache).toBe('cache');
+                        log.push('repository');
+                    },
+                },
+            },
+            services: {
+                first: {
+                    singletons: ['repository'],
+                    start() {},
+                },
+            },
+        });
+
+        await broker.startService('first');
+        expect(log).toEqual(['cache', 'db', 'repository']);
+    });
+
+    test('Limit number of concurrently starting singletons', async () => {
+        let active = 0,
+            maxActive = 0;
+
+        const counted = {
+            async start() {
+                active++;
+                maxActive = Math.max(active, maxActive);
+                await new Promise(resolve => setTimeout(resolve, 5));
+                active--;
+            },
+        };
+
+        const broker = Broker({
+            singletonsConcurrency: 2,
+            singletons: {s1: counted, s2: counted, s3: counted, s4: counted, s5: counted},
+            services: {
+                first: {
+                    singletons: ['s1', 's2', 's3', 's4', 's5'],
+                    start() {},
+                },
+            },
+        });
+
+        await broker.startService('first');
+        expect(maxActive).toBe(2);
+    });
+
+    test('Emit singleton events once for each singleton', async () => {
+        const events = [];
+
+        const broker = Broker({
+            singletons: {
+                s0: {start() {}},
+                s1: {singletons: ['s0'], start() {}},
+                s2: {singletons: ['s0'], start() {}},
+            },
+            services: {
+                first: {singletons: ['s1', 's2'], start() {}},
+                second: {singletons: ['s2'], start() {}},
+            },
+        });
+        broker.on('singleton-starting', name => events.push(`starting ${name}`));
+        broker.on('singleton-started', name => events.push(`started ${name}`));
+
+        await Promise.all([broker.startService('first'), broker.startService('second')]);
+        expect([...events].sort()).toEqual([
+            'started s0',
+            'started s1',
+            'started s2',
+            'starting s0',
+            'starting s1',
+            'starting s2',
+        ]);
+        expect(events.indexOf('started s0')).toBeLessThan(events.indexOf('starting s1'));
+    });
 });
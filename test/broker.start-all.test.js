@@ -0,0 +1,143 @@
+'use strict';
+
+const {Broker} = require('../index');
+
+describe('Services dependencies', () => {
+    const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    const createBroker = log =>
+        Broker({
+            services: {
+                migrations: {
+                    async start() {
+                        log.push('start migrations');
+                        await delay(20);
+                        log.push('started migrations');
+                    },
+                    stop() {
+                        log.push('stop migrations');
+                    },
+                },
+                cache: {
+                    async start() {
+                        log.push('start cache');
+                        await delay(5);
+                        log.push('started cache');
+                    },
+                },
+                api: {
+                    services: ['migrations', 'cache'],
+                    start() {
+                        log.push('start api');
+                    },
+                    async stop() {
+                        await delay(10);
+                        log.push('stop api');
+                    },
+                },
+                worker: {
+                    services: ['migrations'],
+                    start() {
+                        log.push('start worker');
+                    },
+                },
+            },
+        });
+
+    it('should throw if service requires unknown service', () => {
+        expect(() =>
+            Broker({
+                services: {
+                    api: {services: ['migrations'], start() {}},
+                },
+            }),
+        ).toThrow('Service "api" requires unknown service "migrations"');
+    });
+
+    it('should throw on circular services dependency', () => {
+        expect(() =>
+            Broker({
+                services: {
+                    a: {services: ['b'], start() {}},
+                    b: {services: ['c'], start() {}},
+                    c: {services: ['a'], start() {}},
+                },
+            }),
+        ).toThrow(/Found services circular dependency: a -> b -> c -> a/);
+    });
+
+    it('should start services in dependency order and independent ones concurrently', async () => {
+        const log = [],
+            broker = createBroker(log);
+
+        await broker.startAll();
+        expect(log).toEqual([
+            'start migrations',
+            'start cache',
+            'started cache',
+            'started migrations',
+            'start api',
+            'start worker',
+        ]);
+        expect(broker.getRunningServices()).toEqual(['migrations', 'cache', 'api', 'worker']);
+    });
+
+    it('should start required services on startService', async () => {
+        const log = [],
+            broker = createBroker(log);
+
+        await broker.startService('worker');
+        expect(log).toEqual(['start migrations', 'started migrations', 'start worker']);
+        expect(broker.isServiceRunning('cache')).toBe(false);
+    });
+
+    it('should start service once for concurrent calls', async () => {
+        const log = [],
+            broker = createBroker(log);
+
+        await Promise.all([broker.startService('migrations'), broker.startService('worker'), broker.startAll()]);
+        expect(log.filter(l => l === 'start migrations')).toHaveLength(1);
+    });
+
+    it('should not start dependent service if required one failed', async () => {
+        const log = [],
+            broker = Broker({
+                services: {
+                    migrations: {
+                        start() {
+                            throw new Error('Migration failed');
+                        },
+                    },
+                    cache: {
+                        start() {
+                            log.push('start cache');
+                        },
+                    },
+                    api: {
+                        services: ['migrations'],
+                        start() {
+                            log.push('start api');
+                        },
+                    },
+                },
+            });
+
+        await expect(broker.startAll()).rejects.toThrow('Migration failed');
+        expect(log).toEqual(['start cache']);
+        expect(broker.isServiceRunning('api')).toBe(false);
+    });
+
+    it('should stop dependent services first on stopAll', async () => {
+        const log = [],
+            broker = createBroker(log);
+
+        await broker.startAll();
+        log.length = 0;
+        await broker.stopAll();
+        expect(log).toEqual(['stop api', 'stop migrations']);
+        expect(broker.getRunningServices()).toEqual([]);
+
+        await broker.startAll();
+        expect(broker.getRunningServices()).toEqual(['migrations', 'cache', 'api', 'worker']);
+    });
+});
@@ -132,3 +132,163 @@ describe('Broker#run()', () => {
         expect(dependencies2.actions.doThat()).toEqual(17);
     });
 });
+
+describe('Broker#start() release', () => {
+    const createBroker = log =>
+        Broker({
+            singletons: {
+                db: {
+                    start() {
+                        log.push('start db');
+                        return 'db';
+                    },
+                    stop() {
+                        log.push('stop db');
+                    },
+                },
+                repository: {
+                    singletons: ['db'],
+                    start() {
+                        log.push('start repository');
+                        return 'repository';
+                    },
+                    stop() {
+                        log.push('stop repository');
+                    },
+                },
+            },
+            actions: {
+                find: {
+                    singletons: ['repository'],
+                    fn({singletons: {repository}}) {
+                        return id => `${repository} ${id}`;
+                    },
+                },
+            },
+            services: {
+                api: {singletons: ['db'], start() {}},
+            },
+        });
+
+    it('should stop singletons when the last consumer is released', async () => {
+        const log = [],
+            broker = createBroker(log);
+
+        const first = await broker.start({singletons: ['repository']});
+        const second = await broker.start({singletons: ['db']});
+        await broker.startService('api');
+
+        await first.release();
+        expect(log).toEqual(['start db', 'start repository', 'stop repository']);
+
+        await broker.stopService('api');
+        expect(log).toEqual(['start db', 'start repository', 'stop repository']);
+
+        await second.release();
+        expect(log).toEqual(['start db', 'start repository', 'stop repository', 'stop db']);
+        expect(broker.singletons.db.isInit()).toBe(true);
+    });
+
+    it('should release dependencies once', async () => {
+        const log = [],
+            broker = createBroker(log);
+
+        const first = await broker.start({singletons: ['db']});
+        await first.release();
+        await broker.start({singletons: ['db']});
+        await first.release();
+
+        expect(log).toEqual(['start db', 'stop db', 'start db']);
+        expect(broker.singletons.db.isLoaded()).toBe(true);
+    });
+
+    it('should not stop singletons used by script on stopService', async () => {
+        const log = [],
+            broker = createBroker(log);
+
+        await broker.startService('api');
+        const {release} = await broker.start({actions: ['find'], singletons: ['repository']});
+        await broker.stopService('api');
+        expect(broker.singletons.db.isLoaded()).toBe(true);
+
+        await release();
+        expect(log).toEqual(['start db', 'start repository', 'stop repository', 'stop db']);
+        expect(broker.actions.find.isInit()).toBe(true);
+    });
+
+    it('should release dependencies if start fails', async () => {
+        const log = [],
+            broker = Broker({
+                singletons: {
+                    db: {
+                        start() {
+                            log.push('start db');
+                        },
+                        stop() {
+                            log.push('stop db');
+                        },
+                    },
+                    cache: {
+                        start() {
+                            throw new Error('No cache');
+                        },
+                    },
+                },
+            });
+
+        await expect(broker.start({singletons: ['db', 'cache']})).rejects.toThrow('No cache');
+        expect(log).toEqual(['start db', 'stop db']);
+
+        // failed start keeps no reference to db
+        const {release} = await broker.start({singletons: ['db']});
+        await release();
+        expect(log).toEqual(['start db', 'stop db', 'start db', 'stop db']);
+    });
+
+    it('should release dependencies still starting when start fails', async () => {
+        const log = [],
+            broker = Broker({
+                singletons: {
+                    db: {
+                        start() {
+                            log.push('start db');
+                        },
+                        stop() {
+                            log.push('stop db');
+                        },
+                    },
+                    slow: {
+                        async start() {
+                            await new Promise(resolve => setTimeout(resolve, 20));
+                            log.push('start slow');
+                        },
+                        stop() {
+                            log.push('stop slow');
+                        },
+                    },
+                    bad: {
+                        start() {
+                            throw new Error('Bad failed');
+                        },
+                    },
+                },
+            });
+
+        await expect(broker.start({singletons: ['db', 'slow', 'bad']})).rejects.toThrow('Bad failed');
+        expect(log.sort()).toEqual(['start db', 'start slow', 'stop db', 'stop slow']);
+        expect(broker.singletons.slow.isInit()).toBe(true);
+        expect(broker.scripts.size).toBe(0);
+    });
+
+    it('should release dependencies of mocked action', async () => {
+        const log = [],
+            broker = createBroker(log);
+
+        const find = await broker.mockAction('find');
+        expect(find(1)).toBe('repository 1');
+        expect(broker.singletons.repository.isLoaded()).toBe(true);
+
+        await find.release();
+        expect(log).toEqual(['start db', 'start repository', 'stop repository', 'stop db']);
+    });
+});
@@ -0,0 +1,251 @@
+'use strict';
+
+const {Broker} = require('../index');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Broker#getStartupProfile()', () => {
+    it('should return timeline of every service start', async () => {
+        const broker = Broker({
+            singletons: {
+                db: {
+                    async start() {
+                        await sleep(30);
+                        return 'db';
+                    },
+                },
+                cache: {
+                    start() {
+                        return 'cache';
+                    },
+                },
+                repository: {
+                    singletons: ['db'],
+                    async start() {
+                        await sleep(20);
+                        return 'repository';
+                    },
+                },
+            },
+            actions: {
+                find: {
+                    singletons: ['repository'],
+                    fn() {
+                        return () => 'found';
+                    },
+                },
+            },
+            services: {
+                api: {
+                    singletons: ['repository', 'cache'],
+                    actions: ['find'],
+                    start() {},
+                },
+                worker: {
+                    singletons: ['cache'],
+                    start() {},
+                },
+            },
+        });
+
+        await broker.startService('api');
+        await broker.startService('worker');
+
+        const {services} = broker.getStartupProfile();
+
+        expect(services.map(s => s.service)).toEqual(['api', 'worker']);
+        expect(services[0].timeline.map(e => `${e.kind} ${e.name}`).sort()).toEqual([
+            'action find',
+            'singleton cache',
+            'singleton db',
+            'singleton repository',
+        ]);
+        // cache is already started by api
+        expect(services[1].timeline).toEqual([]);
+
+        const [api] = services,
+            db = api.timeline.find(e => e.name === 'db'),
+            repository = api.timeline.find(e => e.name === 'repository');
+
+        expect(db).toEqual({
+            kind: 'singleton',
+            name: 'db',
+            startedAt: expect.any(Number),
+            endedAt: db.startedAt + db.durationMs,
+            durationMs: expect.any(Number),
+        });
+        expect(db.durationMs).toBeGreaterThanOrEqual(25);
+        expect(repository.startedAt).toBeGreaterThanOrEqual(db.endedAt);
+        expect(api.endedAt - api.startedAt).toBeGreaterThanOrEqual(api.durationMs);
+        expect(api.durationMs).toBeGreaterThanOrEqual(45);
+    });
+
+    it('should find critical path through dependencies', async () => {
+        const broker = Broker({
+            singletons: {
+                db: {
+                    async start() {
+                        await sleep(30);
+                    },
+                },
+                cache: {
+                    start() {},
+                },
+                repository: {
+                    singletons: ['db'],
+                    async start() {
+                        await sleep(20);
+                    },
+                },
+            },
+            actions: {
+                find: {
+                    singletons: ['repository'],
+                    fn() {
+                        return () => 'found';
+                    },
+                },
+            },
+            services: {
+                api: {singletons: ['repository', 'cache'], actions: ['find'], start() {}},
+            },
+        });
+
+        await broker.startService('api');
+
+        const [api] = broker.getStartupProfile().services;
+
+        expect(api.criticalPath.map(e => e.name)).toEqual(['db', 'repository', 'find']);
+        expect(api.criticalPathMs).toBe(api.criticalPath.reduce((sum, e) => sum + e.durationMs, 0));
+    });
+
+    it('should keep only the latest start of service', async () => {
+        const broker = Broker({
+            singletons: {
+                db: {start() {}},
+                cache: {start() {}},
+            },
+            services: {
+                api: {singletons: ['db', 'cache'], start() {}},
+                worker: {singletons: ['cache'], start() {}},
+            },
+        });
+
+        await broker.startService('api');
+        await broker.stopService('api');
+        await broker.startService('worker');
+        await broker.startService('api');
+
+        const {services} = broker.getStartupProfile();
+
+        expect(services.map(s => s.service)).toEqual(['worker', 'api']);
+        expect(services[1].timeline.map(e => e.name)).not.toContain('cache');
+    });
+
+    it('should record failed initializations', async () => {
+        const broker = Broker({
+            singletons: {
+                db: {
+                    async start() {
+                        await sleep(30);
+                    },
+                },
+                repository: {
+                    singletons: ['db'],
+                    async start() {
+                        await sleep(20);
+                        throw new Error('Repository failed');
+                    },
+                },
+            },
+            services: {
+                api: {singletons: ['repository'], start() {}},
+            },
+        });
+
+        await expect(broker.startService('api')).rejects.toThrow('Repository failed');
+
+        const [api] = broker.getStartupProfile().services;
+
+        expect(api.error).toBe('Repository failed');
+        expect(api.timeline.find(e => e.name === 'repository')).toMatchObject({
+            kind: 'singleton',
+            error: 'Repository failed',
+        });
+        expect(api.criticalPath.map(e => e.name)).toEqual(['db', 'repository']);
+    });
+
+    it('should export profile in Chrome trace event format', async () => {
+        const broker = Broker({
+            singletons: {
+                db: {
+                    async start() {
+                        await sleep(30);
+                        return 'db';
+                    },
+                },
+                cache: {
+                    start() {
+                        return 'cache';
+                    },
+                },
+                repository: {
+                    singletons: ['db'],
+                    async start() {
+                        await sleep(20);
+                        return 'repository';
+                    },
+                },
+            },
+            actions: {
+                find: {
+                    singletons: ['repository'],
+                    fn() {
+                        return () => 'found';
+                    },
+                },
+            },
+            services: {
+                api: {
+                    singletons: ['repository', 'cache'],
+                    actions: ['find'],
+                    start() {},
+                },
+            },
+        });
+
+        await broker.startService('api');
+
+        const {traceEvents, displayTimeUnit} = broker.getStartupProfile({format: 'trace'});
+
+        expect(displayTimeUnit).toBe('ms');
+        expect(traceEvents[0]).toEqual({name: 'process_name', ph: 'M', pid: 1, tid: 0, args: {name: 'service "api"'}});
+        expect(traceEvents[1]).toMatchObject({name: 'service "api"', cat: 'service', ph: 'X', ts: 0, pid: 1, tid: 0});
+
+        const spans = traceEvents.slice(2);
+
+        expect(spans.map(e => e.name).sort()).toEqual([
+            'action "find"',
+            'singleton "cache"',
+            'singleton "db"',
+            'singleton "repository"',
+        ]);
+        spans.forEach(e => {
+            expect(e).toMatchObject({ph: 'X', pid: 1, ts: expect.any(Number), dur: expect.any(Number)});
+            expect(e.tid).toBeGreaterThan(0);
+        });
+
+        // spans on the same thread do not overlap
+        const byThread = spans.reduce((res, e) => ({...res, [e.tid]: [...(res[e.tid] || []), e]}), {});
+        Object.values(byThread).forEach(events =>
+            events.slice(1).forEach((e, i) => expect(e.ts).toBeGreaterThanOrEqual(events[i].ts + events[i].dur)),
+        );
+        expect(JSON.parse(JSON.stringify(traceEvents))).toEqual(traceEvents);
+    });
+
+    it('should throw on unknown format', () => {
+        expect(() => Broker({}).getStartupProfile({format: 'xml'})).toThrow(
+            'Parameter "format" have to be "json" or "trace"',
+        );
+    });
+});
@@ -0,0 +1,169 @@
+'use strict';
+
+const http = require('http');
+const {Broker} = require('../index');
+
+describe('Broker status server', () => {
+    const request = (broker, path, method = 'GET') =>
+        new Promise((resolve, reject) => {
+            const req = http.request({port: broker.statusServer.address().port, path, method}, res => {
+                let body = '';
+                res.on('data', chunk => {
+                    body += chunk;
+                });
+                res.on('end', () => resolve({statusCode: res.statusCode, body: JSON.parse(body)}));
+            });
+            req.on('error', reject);
+            req.end();
+        });
+
+    it('should throw on invalid options', () => {
+        expect(() => Broker({statusServer: 8080})).toThrow('Parameter "statusServer" have to be an object');
+        expect(() => Broker({statusServer: {port: -1}})).toThrow('Parameter "statusServer.port"');
+        expect(() => Broker({statusServer: {port: 0, host: 1}})).toThrow('Parameter "statusServer.host"');
+        expect(() => Broker({statusServer: {port: 0, path: 'status'}})).toThrow('Parameter "statusServer.path"');
+    });
+
+    it('should report status of running broker', async () => {
+        const broker = Broker({
+            statusServer: {port: 0, host: '127.0.0.1'},
+            singletons: {
+                db: {
+                    start: () => ({}),
+                    healthCheck: () => ({connections: 1}),
+                },
+                cache: {
+                    start: () => ({}),
+                },
+            },
+            services: {
+                api: {singletons: ['db'], start() {}},
+                worker: {start() {}},
+            },
+        });
+
+        await broker.startService('api');
+        try {
+            const {statusCode, body} = await request(broker, '/status');
+
+            expect(statusCode).toBe(200);
+            expect(body).toEqual({
+                ready: true,
+                services: {
+                    api: {state: 'running', healthy: true},
+                    worker: {state: 'created'},
+                },
+                singletons: {
+                    db: {state: 'loaded', healthy: true, durationMs: expect.any(Number), details: {connections: 1}},
+                    cache: {state: 'initial'},
+                },
+                plugins: {},
+            });
+        } finally {
+            await broker.stopAll();
+        }
+    });
+
+    it('should respond with 503 if some service failed', async () => {
+        const broker = Broker({
+            statusServer: {port: 0, host: '127.0.0.1', path: '/health'},
+            services: {
+                api: {start() {}},
+                worker: {
+                    start() {
+                        throw new Error('Worker failed');
+                    },
+                },
+            },
+        });
+
+        await broker.startService('api');
+        await expect(broker.startService('worker')).rejects.toThrow('Worker failed');
+        try {
+            const {statusCode, body} = await request(broker, '/health');
+
+            expect(statusCode).toBe(503);
+            expect(body.ready).toBe(false);
+            expect(body.services.worker).toEqual({state: 'failed'});
+        } finally {
+            await broker.stopAll();
+        }
+    });
+
+    it('should respond to liveness probe, unknown paths and methods', async () => {
+        const broker = Broker({
+            statusServer: {port: 0, host: '127.0.0.1'},
+            services: {api: {start() {}}},
+        });
+
+        await broker.startService('api');
+        try {
+            expect(await request(broker, '/status/live')).toEqual({statusCode: 200, body: {alive: true}});
+            expect(await request(broker, '/unknown')).toEqual({statusCode: 404, body: {error: 'Not found'}});
+            expect(await request(broker, '/status', 'POST')).toEqual({
+                statusCode: 405,
+                body: {error: 'Method not allowed'},
+            });
+        } finally {
+            await broker.stopAll();
+        }
+    });
+
+    it('should stop the rest of dependencies and server if some stops fail', async () => {
+        const broker = Broker({
+            statusServer: {port: 0, host: '127.0.0.1'},
+            singletons: {
+                db: {start: () => ({}), stop() {}},
+                cache: {
+                    singletons: ['db'],
+                    start: () => ({}),
+                    stop() {
+                        throw new Error('Cache stop failed');
+                    },
+                },
+                queue: {
+                    start: () => ({}),
+                    stop() {
+                        throw new Error('Queue stop failed');
+                    },
+                },
+            },
+            services: {
+                api: {singletons: ['cache', 'queue'], start() {}},
+            },
+        });
+
+        await broker.startService('api');
+
+        let error;
+        try {
+            await broker.stopAll();
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error.message).toMatch(/^Failed to stop dependencies, 2 errors:\n/);
+        expect(error.errors.map(e => e.message).sort()).toEqual(['Cache stop failed', 'Queue stop failed']);
+        expect(['db', 'cache', 'queue'].map(name => broker.singletons[name].isInit())).toEqual([true, true, true]);
+        expect(broker.statusServer.address()).toBe(null);
+    });
+
+    it('should stop server on stopAll and start it again with service', async () => {
+        const broker = Broker({
+            statusServer: {port: 0, host: '127.0.0.1'},
+            services: {api: {start() {}}},
+        });
+
+        expect(broker.statusServer.address()).toBe(null);
+        await broker.startService('api');
+        expect(broker.statusServer.address().port).toBeGreaterThan(0);
+
+        await broker.stopAll();
+        expect(broker.statusServer.address()).toBe(null);
+
+        await broker.startService('api');
+        const {body} = await request(broker, '/status');
+        expect(body.services.api.state).toBe('running');
+        await broker.stopAll();
+    });
+});
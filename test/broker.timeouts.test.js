@@ -0,0 +1,236 @@
+'use strict';
+
+const {Broker} = require('../index');
+
+const never = () => new Promise(() => {});
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Start and stop timeouts', () => {
+    it('should throw on invalid broker timeouts', () => {
+        expect(() => Broker({startTimeout: 0})).toThrow('startTimeout');
+        expect(() => Broker({stopTimeout: '1s'})).toThrow('stopTimeout');
+        expect(() => Broker({startTimeout: 10, stopTimeout: 10})).not.toThrow();
+    });
+
+    it('should reject if singleton does not start in time', async () => {
+        const broker = Broker({
+            singletons: {
+                db: {startTimeout: 10, start: never},
+                repository: {singletons: ['db'], start() {}},
+            },
+            services: {
+                api: {singletons: ['repository'], start() {}},
+            },
+        });
+
+        await expect(broker.startService('api')).rejects.toThrow(
+            'Singleton "db" did not start in 10ms, dependency path: service "api" -> singleton "repository" -> ' +
+                'singleton "db"',
+        );
+        expect(broker.singletons.db.isInit()).toBe(true);
+        expect(broker.singletons.repository.isInit()).toBe(true);
+        expect(broker.isServiceRunning('api')).toBe(false);
+    });
+
+    it('should stop instances resolved after start timeout', async () => {
+        const connections = new Set(),
+            stopped = [];
+        let attempt = 0;
+        const broker = Broker({
+            singletons: {
+                db: {
+                    startTimeout: 10,
+                    retry: {attempts: 3, delay: 1},
+                    async start() {
+                        const connection = `connection ${++attempt}`;
+                        await sleep(30);
+                        connections.add(connection);
+                        return connection;
+                    },
+                    stop({instance}) {
+                        connections.delete(instance);
+                        stopped.push(instance);
+                    },
+                },
+            },
+        });
+
+        await expect(broker.start({singletons: ['db']})).rejects.toThrow('Singleton "db" did not start in 10ms');
+        await broker.stopAll();
+        await sleep(50);
+
+        expect(attempt).toBe(3);
+        expect(stopped.sort()).toEqual(['connection 1', 'connection 2', 'connection 3']);
+        expect(connections.size).toBe(0);
+        expect(broker.singletons.db.isInit()).toBe(true);
+    });
+
+    it('should use broker start timeout by default', async () => {
+        const broker = Broker({
+            startTimeout: 10,
+            singletons: {
+                db: {start: never},
+            },
+            services: {
+                api: {singletons: ['db'], start() {}},
+            },
+        });
+
+        await expect(broker.startService('api')).rejects.toThrow('Singleton "db" did not start in 10ms');
+    });
+
+    it('should prefer entity timeout to broker one', async () => {
+        const broker = Broker({
+            startTimeout: 10,
+            singletons: {
+                db: {
+                    startTimeout: 100,
+                    async start() {
+                        await new Promise(resolve => setTimeout(resolve, 20));
+                        return 'db';
+                    },
+                },
+            },
+            services: {
+                api: {singletons: ['db'], start() {}},
+            },
+        });
+
+        await broker.startService('api');
+        expect(broker.singletons.db.instance).toBe('db');
+    });
+
+    it('should allow to start singleton again after failed start', async () => {
+        let attempt = 0;
+
+        const broker = Broker({
+            singletons: {
+                db: {
+                    startTimeout: 10,
+                    start() {
+                        attempt++;
+                        return attempt === 1 ? never() : 'db';
+                    },
+                },
+            },
+            services: {
+                api: {singletons: ['db'], start() {}},
+            },
+        });
+
+        await expect(broker.startService('api')).rejects.toThrow('did not start');
+        await broker.startService('api');
+        expect(broker.singletons.db.isLoaded()).toBe(true);
+        expect(broker.isServiceRunning('api')).toBe(true);
+    });
+
+    it('should reject if plugin does not start in time', async () => {
+        const broker = Broker({
+            plugins: {
+                http: {startTimeout: 10, start: never},
+            },
+            actions: {
+                fetch: {plugins: {http: {}}, fn: () => () => {}},
+            },
+            services: {
+                api: {actions: ['fetch'], start() {}},
+            },
+        });
+
+        await expect(broker.startService('api')).rejects.toThrow(
+            'Plugin "http" did not start in 10ms, dependency path: service "api" -> plugin "http"',
+        );
+    });
+
+    it('should reject if service start handler does not finish in time', async () => {
+        const broker = Broker({
+            services: {
+                api: {startTimeout: 10, start: never},
+            },
+        });
+
+        await expect(broker.startService('api')).rejects.toThrow(
+            'Service "api" did not start in 10ms, dependency path: service "api"',
+        );
+        expect(broker.isServiceRunning('api')).toBe(false);
+    });
+
+    it('should reject if service stop handler does not finish in time', async () => {
+        let starts = 0;
+        const broker = Broker({
+            stopTimeout: 10,
+            singletons: {
+                db: {start() {}},
+            },
+            services: {
+                api: {
+                    singletons: ['db'],
+                    start() {
+                        starts++;
+                    },
+                    stop: never,
+                },
+            },
+        });
+
+        await broker.startService('api');
+        await expect(broker.stopService('api')).rejects.toThrow('Service "api" did not stop in 10ms');
+        expect(broker.isServiceRunning('api')).toBe(false);
+        expect(broker.singletons.db.isInit()).toBe(true);
+
+        await broker.startService('api');
+        expect(starts).toBe(2);
+        expect(broker.singletons.db.isLoaded()).toBe(true);
+    });
+
+    it('should mark service stopped if its stop does not finish in time on stopAll', async () => {
+        const broker = Broker({
+            stopTimeout: 10,
+            singletons: {
+                db: {start() {}},
+            },
+            services: {
+                api: {singletons: ['db'], start() {}, stop: never},
+            },
+        });
+
+        await broker.startService('api');
+        await expect(broker.stopAll()).rejects.toThrow('Service "api" did not stop in 10ms');
+        expect(broker.getRunningServices()).toEqual([]);
+        expect(broker.singletons.db.isInit()).toBe(true);
+    });
+
+    it('should reset singleton state if its stop does not finish in time', async () => {
+        const broker = Broker({
+            singletons: {
+                db: {start() {}, stop: never, stopTimeout: 10},
+            },
+            services: {
+                api: {singletons: ['db'], start() {}},
+            },
+        });
+
+        await broker.startService('api');
+        await expect(broker.stopService('api')).rejects.toThrow(
+            'Singleton "db" did not stop in 10ms, dependency path: service "api" -> singleton "db"',
+        );
+        expect(broker.singletons.db.isInit()).toBe(true);
+    });
+
+    it('should reject stopAll if singleton stop does not finish in time', async () => {
+        const broker = Broker({
+            stopTimeout: 10,
+            singletons: {
+                db: {start() {}, stop: never},
+            },
+            services: {
+                api: {singletons: ['db'], start() {}},
+            },
+        });
+
+        await broker.startService('api');
+        await expect(broker.stopAll()).rejects.toThrow('Singleton "db" did not stop in 10ms');
+        expect(broker.singletons.db.isInit()).toBe(true);
+    });
+});
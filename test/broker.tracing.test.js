@@ -0,0 +1,340 @@
+'use strict';
+
+const {EventEmitter} = require('events');
+const {mkdtempSync, readFileSync, rmdirSync} = require('fs');
+const {tmpdir} = require('os');
+const {join} = require('path');
+const {Broker, FileSpanExporter} = require('../index');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Tracing', () => {
+    it('should record call tree of action calls', async () => {
+        let place;
+        const broker = Broker({
+            tracing: true,
+            services: {
+                orders: {
+                    localActions: {
+                        place: {
+                            actions: ['reserve', 'charge'],
+                            fn({actions: {reserve, charge}}) {
+                                return async id => {
+                                    await reserve(id);
+                                    return charge(id);
+                                };
+                            },
+                        },
+                    },
+                    start({localActions}) {
+                        place = localActions.place;
+                    },
+                },
+            },
+            actions: {
+                reserve: {
+                    fn() {
+                        return () => sleep(5);
+                    },
+                },
+                charge: {
+                    fn() {
+                        return () => 'charged';
+                    },
+                },
+            },
+        });
+
+        await broker.startService('orders');
+        await expect(place(1)).resolves.toBe('charged');
+
+        const [reserve, charge, root] = broker.getSpans();
+
+        expect(root).toEqual({
+            traceId: expect.stringMatching(/^[0-9a-f]{32}$/),
+            spanId: expect.stringMatching(/^[0-9a-f]{16}$/),
+            parentSpanId: undefined,
+            name: 'orders#place',
+            kind: 'INTERNAL',
+            startTimeUnixNano: expect.stringMatching(/^\d+$/),
+            endTimeUnixNano: expect.stringMatching(/^\d+$/),
+            durationMs: expect.any(Number),
+            status: {code: 'OK'},
+            attributes: {'agata.action': 'orders#place', 'agata.service': 'orders'},
+        });
+        expect([reserve.name, charge.name]).toEqual(['reserve', 'charge']);
+        [reserve, charge].forEach(span => {
+            expect(span.traceId).toBe(root.traceId);
+            expect(span.parentSpanId).toBe(root.spanId);
+            expect(span.attributes['agata.service']).toBe('orders');
+        });
+        expect(reserve.durationMs).toBeGreaterThanOrEqual(4);
+        expect(root.durationMs).toBeGreaterThanOrEqual(reserve.durationMs);
+        expect(BigInt(root.endTimeUnixNano) >= BigInt(root.startTimeUnixNano)).toBe(true);
+    });
+
+    it('should set service of root spans of shared actions', async () => {
+        let startedCharge;
+        const broker = Broker({
+            tracing: true,
+            services: {
+                billing: {
+                    actions: ['charge'],
+                    start({actions: {charge}}) {
+                        startedCharge = charge;
+                    },
+                },
+            },
+            actions: {
+                charge: {
+                    actions: ['audit'],
+                    fn({actions: {audit}}) {
+                        return () => audit();
+                    },
+                },
+                audit: {
+                    fn() {
+                        return () => 'audited';
+                    },
+                },
+            },
+        });
+
+        await broker.startService('billing');
+        startedCharge();
+        const {
+            actions: {charge},
+        } = await broker.start({actions: ['charge']});
+        charge();
+
+        expect(broker.getSpans().map(span => [span.name, span.attributes['agata.service']])).toEqual([
+            ['audit', 'billing'],
+            ['charge', 'billing'],
+            ['audit', undefined],
+            ['charge', undefined],
+        ]);
+    });
+
+    it('should record failed calls and separate traces', async () => {
+        const broker = Broker({
+                tracing: true,
+                actions: {
+                    place: {
+                        actions: ['charge'],
+                        fn({actions: {charge}}) {
+                            return async id => charge(id);
+                        },
+                    },
+                    charge: {
+                        fn() {
+                            return id => {
+                                if (id < 0) throw new Error('Card declined');
+                                return 'charged';
+                            };
+                        },
+                    },
+                },
+            }),
+            {
+                actions: {place},
+            } = await broker.start({actions: ['place']});
+
+        await place(1);
+        await expect(place(-1)).rejects.toThrow('Card declined');
+
+        const spans = broker.getSpans(),
+            failed = spans.filter(span => span.status.code === 'ERROR');
+
+        expect(failed.map(span => [span.name, span.status.message])).toEqual([
+            ['charge', 'Card declined'],
+            ['place', 'Card declined'],
+        ]);
+        expect(failed[0].traceId).not.toBe(spans[0].traceId);
+        expect(broker.getSpans({traceId: failed[0].traceId})).toHaveLength(2);
+    });
+
+    it('should keep only the latest spans in buffer', async () => {
+        const broker = Broker({
+                tracing: {bufferSize: 3},
+                actions: {
+                    place: {
+                        actions: ['charge'],
+                        fn({actions: {charge}}) {
+                            return id => charge(id);
+                        },
+                    },
+                    charge: {
+                        fn() {
+                            return id => id;
+                        },
+                    },
+                },
+            }),
+            {
+                actions: {place},
+            } = await broker.start({actions: ['place']});
+
+        await place(1);
+        await place(2);
+
+        const spans = broker.getSpans();
+
+        expect(spans.map(span => span.name)).toEqual(['place', 'charge', 'place']);
+        expect(spans[2].traceId).toBe(spans[1].traceId);
+        expect(spans[0].traceId).not.toBe(spans[2].traceId);
+    });
+
+    it('should pass spans to exporters and report export failures', async () => {
+        const exported = [],
+            failed = [],
+            broker = Broker({
+                tracing: {
+                    exporters: [
+                        {export: spans => exported.push(...spans)},
+                        {
+                            export() {
+                                throw new Error('Exporter is down');
+                            },
+                        },
+                    ],
+                },
+                actions: {
+                    place: {
+                        actions: ['charge'],
+                        fn({actions: {charge}}) {
+                            return () => charge();
+                        },
+                    },
+                    charge: {
+                        fn() {
+                            return () => 'charged';
+                        },
+                    },
+                },
+            }),
+            {
+                actions: {place},
+            } = await broker.start({actions: ['place']});
+
+        broker.on('span-export-failed', (name, {error}) => failed.push(`${name} ${error.message}`));
+
+        place();
+        await sleep(1);
+
+        expect(exported).toEqual(broker.getSpans());
+        expect(failed).toEqual(['charge Exporter is down', 'place Exporter is down']);
+    });
+
+    it('should write spans to file as JSON lines', async () => {
+        const dir = mkdtempSync(join(tmpdir(), 'agata-')),
+            path = join(dir, 'spans.jsonl'),
+            broker = Broker({
+                tracing: {exporters: [FileSpanExporter({path})]},
+                actions: {
+                    ping: {
+                        fn() {
+                            return () => 'pong';
+                        },
+                    },
+                },
+            });
+
+        try {
+            const {
+                actions: {ping},
+            } = await broker.start({actions: ['ping']});
+
+            ping();
+            await sleep(1);
+            await broker.shutdownTracing();
+
+            const lines = readFileSync(path, 'utf8').trim().split('\n');
+
+            expect(lines.map(line => JSON.parse(line))).toEqual(
+                broker.getSpans().map(span => JSON.parse(JSON.stringify(span))),
+            );
+        } finally {
+            rmdirSync(dir, {recursive: true});
+        }
+    });
+
+    it('should report write errors of file exporter', async () => {
+        const exporter = FileSpanExporter({path: join(tmpdir(), 'agata-missing', 'dir', 'spans.jsonl')}),
+            broker = Broker({
+                tracing: {exporters: [exporter]},
+                actions: {
+                    ping: {
+                        fn() {
+                            return () => 'pong';
+                        },
+                    },
+                },
+            }),
+            failed = [];
+
+        broker.on('span-export-failed', name => failed.push(name));
+
+        const {
+            actions: {ping},
+        } = await broker.start({actions: ['ping']});
+
+        ping();
+        await sleep(20);
+        ping();
+        await sleep(1);
+        await broker.shutdownTracing();
+
+        expect(failed).toEqual(['ping']);
+    });
+
+    it('should shutdown exporters when running broker stops', async () => {
+        const exporter = {export() {}, shutdown: jest.fn(async () => {})},
+            broker = Broker({
+                tracing: {exporters: [exporter]},
+                services: {orders: {start() {}}},
+            }),
+            proc = new EventEmitter(),
+            started = new Promise(resolve => broker.once('service-started', resolve));
+
+        proc.exit = jest.fn();
+
+        const done = broker.run({services: ['orders'], process: proc, logger: {error: jest.fn()}});
+        await started;
+        proc.emit('SIGTERM');
+        await done;
+
+        expect(exporter.shutdown).toHaveBeenCalledTimes(1);
+        expect(proc.exitCode).toBe(undefined);
+    });
+
+    it('should not record spans if tracing is disabled', async () => {
+        const broker = Broker({
+                actions: {
+                    ping: {
+                        fn() {
+                            return () => 'pong';
+                        },
+                    },
+                },
+            }),
+            {
+                actions: {ping},
+            } = await broker.start({actions: ['ping']});
+
+        ping();
+
+        expect(broker.getSpans()).toEqual([]);
+        await expect(broker.shutdownTracing()).resolves.toBeUndefined();
+    });
+
+    it('should validate options', () => {
+        expect(() => Broker({tracing: 1})).toThrow('Parameter "tracing" have to be a boolean or an object');
+        expect(() => Broker({tracing: {bufferSize: 0}})).toThrow(
+            'Parameter "tracing.bufferSize" have to be a positive integer',
+        );
+        expect(() => Broker({tracing: {exporters: [{}]}})).toThrow(
+            'Parameter "tracing.exporters" have to be an array of objects with "export" method',
+        );
+        expect(() => FileSpanExporter({})).toThrow('Parameter "path" have to be a non-empty string');
+    });
+});
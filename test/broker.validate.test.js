@@ -0,0 +1,155 @@
+'use strict';
+
+const {Broker} = require('../index');
+
+describe('Broker#validate()', () => {
+    const fn = () => () => {};
+
+    const getError = config => {
+        try {
+            Broker({...config, validate: true});
+        } catch (error) {
+            return error;
+        }
+    };
+
+    it('should return undefined if graph is valid', () => {
+        const broker = Broker({singletons: {db: {start() {}}}, services: {api: {singletons: ['db'], start() {}}}});
+
+        expect(broker.validate()).toBeUndefined();
+    });
+
+    it('should check deep acyclic graph without walking all its paths', () => {
+        const layers = 14,
+            width = 3,
+            name = (layer, i) => `action${layer}x${i}`,
+            actions = {};
+
+        for (let layer = 0; layer < layers; layer++)
+            for (let i = 0; i < width; i++)
+                actions[name(layer, i)] = {
+                    actions: layer === layers - 1 ? [] : Array.from({length: width}, (_, n) => name(layer + 1, n)),
+                    fn,
+                };
+
+        const broker = Broker({actions}),
+            startedAt = Date.now();
+
+        expect(broker.validate()).toBeUndefined();
+        expect(Date.now() - startedAt).toBeLessThan(1000);
+    });
+
+    it('should collect all errors with constructor option', () => {
+        const error = getError({
+            singletons: {
+                db: {start() {}},
+                a: {singletons: ['b'], start() {}},
+                b: {singletons: ['c'], start() {}},
+                c: {singletons: ['a', 'b'], start() {}},
+                queue: {singletons: ['unknownConnection'], start() {}},
+            },
+            plugins: {
+                query: {singletons: ['db'], start() {}},
+            },
+            actions: {
+                find: {singletons: ['db'], plugins: {query: {}, cache: {}}, fn},
+                ping: {actions: ['pong'], fn},
+                pong: {actions: ['ping'], fn},
+            },
+            services: {
+                api: {services: ['worker'], actions: ['find', 'notify'], start() {}},
+                worker: {services: ['api'], singletons: ['redis'], start() {}},
+            },
+        });
+
+        expect(error.name).toBe('ValidationError');
+        expect(error.message).toMatch(
+            /^Found 10 broker configuration error\(s\):\n {2}- Service "api" requires unknown/,
+        );
+        expect(error.errors.map(e => e.message)).toEqual([
+            'Service "api" requires unknown action "notify"',
+            'Service "worker" requires unknown singleton "redis"',
+            'Singleton "queue" requires unknown singleton "unknownConnection"',
+            'Action "find" tries to configure unknown plugin "cache"',
+            'Found singletons circular dependency: a -> b -> c -> a',
+            'Found singletons circular dependency: b -> c -> b',
+            'Found actions circular dependency: ping -> pong -> ping',
+            'Found services circular dependency: api -> worker -> api',
+            'Action "find" in service "api" requires not included singleton(s): "db". ' +
+                'Please add them to service definition',
+            'Plugin "query" in service "api" requires not included singleton(s): "db". ' +
+                'Please add them to service definition or do not use this plugin',
+        ]);
+    });
+
+    it('should return machine-readable list of errors', () => {
+        const error = getError({
+            singletons: {
+                db: {start() {}},
+                a: {singletons: ['a'], start() {}},
+            },
+            actions: {
+                find: {singletons: ['db'], actions: ['missing'], fn},
+            },
+            services: {
+                api: {
+                    localActions: {handle: {actions: ['find'], fn}},
+                    start() {},
+                },
+            },
+        });
+
+        expect(error.errors).toEqual([
+            {
+                type: 'unknown-reference',
+                message: 'Action "find" requires unknown action "missing"',
+                entity: {kind: 'action', name: 'find'},
+                reference: {kind: 'action', name: 'missing'},
+            },
+            {
+                type: 'circular-dependency',
+                message: 'Found singletons circular dependency: a -> a',
+                kind: 'singleton',
+                path: ['a', 'a'],
+            },
+            {
+                type: 'missing-singleton',
+                message:
+                    'Action "find" in service "api" requires not included singleton(s): "db". ' +
+                    'Please add them to service definition',
+                service: 'api',
+                entity: {kind: 'action', name: 'find'},
+                singletons: ['db'],
+            },
+        ]);
+    });
+
+    it('should find errors which are not checked by constructor', () => {
+        const broker = Broker({
+            singletons: {db: {start() {}}},
+            actions: {
+                find: {singletons: ['db'], fn},
+                ping: {actions: ['pong'], fn},
+                pong: {actions: ['ping'], fn},
+            },
+            services: {api: {actions: ['find'], start() {}}},
+        });
+
+        expect(broker.validate().errors.map(e => e.type)).toEqual(['circular-dependency', 'missing-singleton']);
+    });
+
+    it('should throw the first error without constructor option', () => {
+        const config = {
+            singletons: {
+                a: {singletons: ['b'], start() {}},
+                b: {singletons: ['a'], start() {}},
+            },
+            services: {
+                api: {actions: ['notify'], start() {}},
+                worker: {singletons: ['redis'], start() {}},
+            },
+        };
+
+        expect(() => Broker(config)).toThrow('Service "api" requires unknown action "notify"');
+    });
+});
@@ -0,0 +1,28 @@
+'use strict';
+
+module.exports = {
+    singletons: {
+        db: {start() {}},
+    },
+    actions: {
+        findOrders: {
+            singletons: ['db'],
+            fn() {
+                return () => [];
+            },
+        },
+    },
+    services: {
+        orders: {
+            actions: ['findOrders'],
+            start() {},
+        },
+        reports: {
+            actions: ['findOrders'],
+            start() {},
+        },
+        health: {
+            start() {},
+        },
+    },
+};
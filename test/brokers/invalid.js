@@ -0,0 +1,10 @@
+'use strict';
+
+module.exports = {
+    services: {
+        orders: {
+            singletons: ['db'],
+            start() {},
+        },
+    },
+};
@@ -0,0 +1,34 @@
+'use strict';
+
+const {Broker} = require('../../index');
+
+module.exports = () =>
+    Broker({
+        singletons: {
+            db: {
+                start() {
+                    return 'db';
+                },
+            },
+            cache: {
+                start() {
+                    return 'cache';
+                },
+            },
+        },
+        actions: {
+            findOrders: {
+                singletons: ['db', 'cache'],
+                fn() {
+                    return () => [];
+                },
+            },
+        },
+        services: {
+            orders: {
+                singletons: ['db', 'cache'],
+                actions: ['findOrders'],
+                start() {},
+            },
+        },
+    });
@@ -0,0 +1,29 @@
+'use strict';
+
+const {Broker} = require('../../index');
+
+module.exports = () =>
+    Broker({
+        singletons: {
+            db: {
+                start() {
+                    return 'db';
+                },
+            },
+        },
+        actions: {
+            findOrders: {
+                singletons: ['db'],
+                fn() {
+                    return () => [];
+                },
+            },
+        },
+        services: {
+            orders: {
+                singletons: ['db'],
+                actions: ['findOrders'],
+                start() {},
+            },
+        },
+    });
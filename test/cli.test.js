@@ -0,0 +1,151 @@
+'use strict';
+
+const {EventEmitter} = require('events');
+const {runCli, EXIT_OK, EXIT_FAILURE, EXIT_USAGE} = require('../src/cli');
+
+describe('CLI', () => {
+    const createLogger = () => ({log: jest.fn(), error: jest.fn()});
+
+    const output = fn => fn.mock.calls.map(args => args.join(' ')).join('\n');
+
+    const cli = async (argv, options = {}) => {
+        const logger = createLogger(),
+            code = await runCli(argv, {cwd: __dirname, logger, ...options});
+
+        return {code, stdout: output(logger.log), stderr: output(logger.error)};
+    };
+
+    it('should print usage', async () => {
+        expect(await cli(['--help'])).toMatchObject({code: EXIT_OK, stdout: expect.stringContaining('Usage: agata')});
+        expect(await cli([])).toMatchObject({code: EXIT_USAGE, stderr: expect.stringContaining('Usage: agata')});
+        expect(await cli(['brokers/shop.js', 'unknown'])).toMatchObject({
+            code: EXIT_USAGE,
+            stderr: expect.stringContaining('Unknown command "unknown"'),
+        });
+    });
+
+    it('should fail if broker could not be loaded', async () => {
+        expect(await cli(['brokers/missing.js', 'list'])).toMatchObject({
+            code: EXIT_FAILURE,
+            stderr: expect.stringContaining('Failed to load broker from "brokers/missing.js": Cannot find module'),
+        });
+    });
+
+    it('should list entities', async () => {
+        expect(await cli(['brokers/shop.js', 'list'])).toEqual({
+            code: EXIT_OK,
+            stdout: ['services', '    orders', 'singletons', '    db', 'actions', '    findOrders', 'plugins'].join(
+                '\n',
+            ),
+            stderr: '',
+        });
+    });
+
+    it('should print dependencies of entity', async () => {
+        const {code, stdout} = await cli(['brokers/shop.js', 'deps', 'singleton:db']);
+
+        expect(code).toBe(EXIT_OK);
+        expect(JSON.parse(stdout)).toEqual({
+            dependencies: {singletons: []},
+            dependents: {actions: ['findOrders'], singletons: [], plugins: [], services: ['orders']},
+        });
+        expect(await cli(['brokers/shop.js', 'deps'])).toMatchObject({code: EXIT_USAGE});
+        expect(await cli(['brokers/shop.js', 'deps', 'singleton:cache'])).toMatchObject({
+            code: EXIT_FAILURE,
+            stderr: 'Unknown singleton "cache"',
+        });
+    });
+
+    it('should print graph', async () => {
+        expect(await cli(['brokers/shop.js', 'graph', '--format', 'mermaid', '--root=action:findOrders'])).toEqual({
+            code: EXIT_OK,
+            stdout: 'graph LR\n    n0("findOrders")\n    n1[("db")]\n    n0 --> n1\n',
+            stderr: '',
+        });
+        expect((await cli(['brokers/shop.js', 'graph'])).stdout).toMatch(/^digraph agata/);
+        expect(await cli(['brokers/shop.js', 'graph', '--depth', 'x'])).toMatchObject({code: EXIT_USAGE});
+    });
+
+    it('should print dependents of entity', async () => {
+        expect(await cli(['brokers/shop.js', 'dependents', 'singleton:db', '--transitive'])).toEqual({
+            code: EXIT_OK,
+            stdout: ['services', '    orders', 'singletons', 'actions', '    findOrders', 'plugins'].join('\n'),
+            stderr: '',
+        });
+        expect(await cli(['brokers/shop.js', 'dependents'])).toMatchObject({code: EXIT_USAGE});
+    });
+
+    it('should compare graphs of two brokers', async () => {
+        expect(await cli(['brokers/shop.js', 'diff', 'brokers/shop.js'])).toEqual({
+            code: EXIT_OK,
+            stdout: 'No differences',
+            stderr: '',
+        });
+        expect(await cli(['brokers/shop.js', 'diff', 'brokers/shop-next.js'])).toEqual({
+            code: EXIT_FAILURE,
+            stdout: [
+                '+ singleton:cache',
+                '~ service:orders',
+                '    + singleton:cache',
+                '~ action:findOrders',
+                '    + singleton:cache',
+                'Affected services: orders',
+            ].join('\n'),
+            stderr: '',
+        });
+        expect(await cli(['brokers/shop.js', 'diff'])).toMatchObject({code: EXIT_USAGE});
+    });
+
+    it('should check broker and report all errors', async () => {
+        expect(await cli(['brokers/shop.js', 'check'])).toMatchObject({
+            code: EXIT_OK,
+            stdout: 'OK, 1 service(s) checked',
+        });
+
+        const {code, stderr} = await cli(['brokers/broken.js', 'check']);
+
+        expect(code).toBe(EXIT_FAILURE);
+        expect(stderr.split('\n')).toEqual([
+            'Failed to load broker from "brokers/broken.js": Found 2 broker configuration error(s):',
+            expect.stringMatching(/^ {2}- Action "findOrders" in service "orders" requires not included singleton/),
+            expect.stringMatching(/^ {2}- Action "findOrders" in service "reports" requires not included singleton/),
+        ]);
+        // other commands do not require valid graph unless module config asks for validation
+        expect(await cli(['brokers/broken.js', 'list'])).toMatchObject({code: EXIT_OK});
+        expect(await cli(['brokers/validated.js', 'list'])).toMatchObject({
+            code: EXIT_FAILURE,
+            stderr: expect.stringContaining('Found 2 broker configuration error(s)'),
+        });
+        expect(await cli(['brokers/invalid.js', 'check'])).toMatchObject({
+            code: EXIT_FAILURE,
+            stderr: expect.stringContaining(
+                'Failed to load broker from "brokers/invalid.js": Found 1 broker configuration error(s)',
+            ),
+        });
+    });
+
+    it('should start service and stop it on signal', async () => {
+        const proc = new EventEmitter();
+        proc.exit = jest.fn();
+
+        const logger = createLogger(),
+            running = runCli(['brokers/shop.js', 'start', 'orders'], {cwd: __dirname, logger, process: proc});
+
+        await new Promise(resolve => {
+            logger.log.mockImplementation(resolve);
+        });
+        proc.emit('SIGTERM');
+
+        expect(await running).toBe(EXIT_OK);
+        expect(output(logger.log)).toBe('Service "orders" started');
+        expect(proc.exit).not.toHaveBeenCalled();
+    });
+
+    it('should fail to start unknown service', async () => {
+        expect(await cli(['brokers/shop.js', 'start', 'unknown'])).toMatchObject({
+            code: EXIT_FAILURE,
+            stderr: 'Service with name "unknown" not found',
+        });
+        expect(await cli(['brokers/shop.js', 'start'])).toMatchObject({code: EXIT_USAGE});
+    });
+});
@@ -9,10 +9,19 @@ describe('Plugin constructor', () => {
         expect(() => Plugin({start: 1})).toThrow();
         expect(() => Plugin({start() {}, singletons: 1})).toThrow();
         expect(() => Plugin({start() {}, singletons: ['test', 1]})).toThrow();
+        expect(() => Plugin({start() {}, startTimeout: 0})).toThrow();
+        expect(() => Plugin({start() {}, startTimeout: '1'})).toThrow();
+        expect(() => Plugin({start() {}, stop: 1})).toThrow();
+        expect(() => Plugin({start() {}, stop() {}, stopTimeout: 0})).toThrow();
+        expect(() => Plugin({start() {}, healthCheck: 'ok'})).toThrow();
+        expect(() => Plugin({start() {}, healthCheck() {}, healthCheckTimeout: -1})).toThrow();
     });
 
     test('Constructor should create singleton if parameters are valid', () => {
         expect(() => Plugin({start() {}})).not.toThrow();
         expect(() => Plugin({start() {}, singletons: ['test', 'best']})).not.toThrow();
+        expect(() => Plugin({start() {}, startTimeout: 100})).not.toThrow();
+        expect(() => Plugin({start() {}, stop() {}, stopTimeout: 100})).not.toThrow();
+        expect(() => Plugin({start() {}, healthCheck() {}, healthCheckTimeout: 100})).not.toThrow();
     });
 });
@@ -14,9 +14,12 @@ describe('Service constructor', () => {
         expect(() => Service({start() {}, stop: 1})).toThrow();
         expect(() => Service({start() {}, singletons: 1})).toThrow();
         expect(() => Service({start() {}, actions: 1})).toThrow();
+        expect(() => Service({start() {}, services: 'migrations'})).toThrow();
         expect(() => Service({start() {}, localActions: 1})).toThrow();
         expect(() => Service({start() {}, localActions: {test: {}}})).toThrow();
         expect(() => Service({start() {}, localActions: {test: {fn: 1}}})).toThrow();
+        expect(() => Service({start() {}, startTimeout: 0})).toThrow();
+        expect(() => Service({start() {}, stopTimeout: 'never'})).toThrow();
     });
 
     test('Create service with parameters', () => {
@@ -24,8 +27,10 @@ describe('Service constructor', () => {
         expect(() => Service({start() {}, stop() {}})).not.toThrow();
         expect(() => Service({start() {}, singletons: ['test']})).not.toThrow();
         expect(() => Service({start() {}, actions: ['test']})).not.toThrow();
+        expect(() => Service({start() {}, services: ['test']})).not.toThrow();
         expect(() => Service({start() {}, localActions: {}})).not.toThrow();
         expect(() => Service({start() {}, localActions: {test: {fn() {}}}})).not.toThrow();
+        expect(() => Service({start() {}, startTimeout: 100, stopTimeout: 100})).not.toThrow();
     });
 
     test('Throw if handlers and actions name intersects', () => {
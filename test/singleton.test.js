@@ -10,6 +10,16 @@ describe('Singleton constructor', () => {
         expect(() => Singleton({start() {}, stop: 1})).toThrow();
         expect(() => Singleton({start() {}, singletons: 1})).toThrow();
         expect(() => Singleton({start() {}, singletons: ['test', 1]})).toThrow();
+        expect(() => Singleton({start() {}, startTimeout: -1})).toThrow();
+        expect(() => Singleton({start() {}, stopTimeout: 1.5})).toThrow();
+        expect(() => Singleton({start() {}, retry: 3})).toThrow();
+        expect(() => Singleton({start() {}, retry: {attempts: 0}})).toThrow();
+        expect(() => Singleton({start() {}, retry: {backoff: 'linear'}})).toThrow();
+        expect(() => Singleton({start() {}, retry: {delay: -1}})).toThrow();
+        expect(() => Singleton({start() {}, retry: {maxDelay: 0}})).toThrow();
+        expect(() => Singleton({start() {}, retry: {retryable: true}})).toThrow();
+        expect(() => Singleton({start() {}, healthCheck: true})).toThrow();
+        expect(() => Singleton({start() {}, healthCheck() {}, healthCheckTimeout: 0})).toThrow();
     });
 
     test('Constructor should create singleton if parameters are valid', () => {
@@ -17,5 +27,42 @@ describe('Singleton constructor', () => {
         expect(() => Singleton({start() {}, stop() {}})).not.toThrow();
         expect(() => Singleton({start() {}, singletons: ['test', 'best']})).not.toThrow();
         expect(() => Singleton({start() {}, stop() {}, singletons: ['test', 'best']})).not.toThrow();
+        expect(() => Singleton({start() {}, stop() {}, startTimeout: 100, stopTimeout: 200})).not.toThrow();
+        expect(() => Singleton({start() {}, healthCheck() {}, healthCheckTimeout: 100})).not.toThrow();
+        expect(() =>
+            Singleton({
+                start() {},
+                retry: {attempts: 3, backoff: 'fixed', delay: 0, maxDelay: 1000, retryable: () => true},
+            }),
+        ).not.toThrow();
+    });
+});
+
+describe('Singleton retry policy', () => {
+    test('Retry until attempts are over', () => {
+        const singleton = Singleton({start() {}, retry: {attempts: 3}});
+
+        expect(singleton.shouldRetry(new Error(), 1)).toBe(true);
+        expect(singleton.shouldRetry(new Error(), 2)).toBe(true);
+        expect(singleton.shouldRetry(new Error(), 3)).toBe(false);
+    });
+
+    test('Do not retry by default', () => {
+        expect(Singleton({start() {}}).shouldRetry(new Error(), 1)).toBe(false);
+    });
+
+    test('Retry only retryable errors', () => {
+        const singleton = Singleton({start() {}, retry: {attempts: 3, retryable: e => e.code === 'ECONNREFUSED'}});
+
+        expect(singleton.shouldRetry(Object.assign(new Error(), {code: 'ECONNREFUSED'}), 1)).toBe(true);
+        expect(singleton.shouldRetry(new Error(), 1)).toBe(false);
+    });
+
+    test('Calculate delay between attempts', () => {
+        const exponential = Singleton({start() {}, retry: {delay: 100, maxDelay: 500}}),
+            fixed = Singleton({start() {}, retry: {delay: 100, backoff: 'fixed'}});
+
+        expect([1, 2, 3, 4].map(a => exponential.getRetryDelay(a))).toEqual([100, 200, 400, 500]);
+        expect([1, 2, 3, 4].map(a => fixed.getRetryDelay(a))).toEqual([100, 100, 100, 100]);
     });
 });